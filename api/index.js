@@ -1,24 +1,59 @@
 // Load environment variables
 require('dotenv').config();
 
-const { App, ExpressReceiver } = require('@slack/bolt');
+const { AsyncLocalStorage } = require('async_hooks');
+const { App, ExpressReceiver, webApi } = require('@slack/bolt');
 const { Client } = require('@notionhq/client');
+const { loadRequestTypes } = require('../lib/request-types');
+const { createKeyValueStore } = require('../lib/kv-store');
+const { collectMentionIds, convertMessage } = require('../lib/slack-to-notion');
+const { downloadSlackFile, uploadFileToNotion } = require('../lib/file-transfer');
+const { createInstallationStore, createWorkspaceSettings } = require('../lib/workspaces');
+const { parseCommand: parseCommandText, CommandError, stripCaptureTokens } = require('../lib/command-parser');
+const { createRequestClient, createRequestStore } = require('../lib/request-store');
+const { buildTypeDigest, DAY_MS } = require('../lib/digest');
+const { escapeMrkdwn, escapeRegExp } = require('../lib/text');
 
 // Define a timeout for Notion API requests (10 seconds)
 const NOTION_TIMEOUT_MS = 10000;
 
-// Initialize a custom receiver
+// Shared store for de-duplication (memory, file or redis, see lib/kv-store.js)
+const store = createKeyValueStore();
+
+// With SLACK_CLIENT_ID set, HelperBot is installed per workspace through OAuth and each workspace
+// brings its own Notion token and databases. Otherwise it runs on SLACK_BOT_TOKEN and the Notion
+// settings from the environment.
+const isMultiWorkspace = Boolean(process.env.SLACK_CLIENT_ID);
+const installationStore = createInstallationStore(store);
+const workspaceSettings = createWorkspaceSettings(store);
+
+// Bot scopes requested when a workspace installs HelperBot
+const DEFAULT_SLACK_SCOPES = [
+  'app_mentions:read', 'channels:history', 'groups:history', 'chat:write', 'commands',
+  'files:read', 'reactions:read', 'reactions:write', 'users:read', 'users:read.email', 'usergroups:read'
+].join(',');
+
+// Initialize a custom receiver; in multi-workspace mode it also serves /slack/install and
+// /slack/oauth_redirect
 const receiver = new ExpressReceiver({
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   processBeforeResponse: true,
   endpoints: {
     events: '/slack/events'
-  }
+  },
+  ...(isMultiWorkspace ? {
+    clientId: process.env.SLACK_CLIENT_ID,
+    clientSecret: process.env.SLACK_CLIENT_SECRET,
+    stateSecret: process.env.SLACK_STATE_SECRET,
+    scopes: (process.env.SLACK_SCOPES || DEFAULT_SLACK_SCOPES).split(','),
+    installationStore: installationStore,
+    installerOptions: { directInstall: true }
+  } : {})
 });
 
-const processedThreads = new Map(); // To track recently processed threads
-const DUPLICATE_PREVENTION_WINDOW_MS = 10000; // 10 seconds
- 
+// How long processed events and thread saves are remembered (default 1 hour)
+const DEDUP_TTL_MS = (parseInt(process.env.HELPERBOT_DEDUP_TTL_SECONDS, 10) || 3600) * 1000;
+
 // Add challenge handling
 receiver.router.post('/slack/events', (req, res, next) => {
   if (req.body && req.body.type === 'url_verification') {
@@ -31,166 +66,686 @@ receiver.router.get('/test', (req, res) => {
   return res.send('HelperBot is running!');
 });
 
-// Initialize Slack app
+// Cron routes need CRON_SECRET as a bearer token (Vercel cron sends it); without a secret they
+// stay closed, since they post to channels
+function isAuthorizedCronRequest(req) {
+  if (!process.env.CRON_SECRET) {
+    console.error('Rejecting cron request: CRON_SECRET is not set');
+    return false;
+  }
+  return req.headers.authorization === `Bearer ${process.env.CRON_SECRET}`;
+}
+
+// Weekly summary of every request type, posted to each workspace's digest channel
+receiver.router.get('/cron/digest', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).send('Unauthorized');
+  }
+  
+  try {
+    const result = await runForEachWorkspace(client => postWeeklyDigest(client));
+    return res.json(result);
+  } catch (error) {
+    console.error('Error posting weekly digest:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Poll Notion for status changes made outside Slack and tell the original threads
+receiver.router.get('/cron/status-sync', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).send('Unauthorized');
+  }
+  
+  try {
+    const result = await runForEachWorkspace(client => syncStatusChanges(client));
+    return res.json(result);
+  } catch (error) {
+    console.error('Error syncing status changes:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Initialize Slack app; with OAuth, Bolt finds each workspace's token in the installation store
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
+  token: isMultiWorkspace ? undefined : process.env.SLACK_BOT_TOKEN,
   receiver
 });
 
-// Initialize Notion client with timeout
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-  timeoutMs: NOTION_TIMEOUT_MS
+// Skip events we've already handled. Slack retries deliveries that take longer than 3 seconds
+// with the same event_id, and each retry may land on a fresh serverless instance.
+app.use(async ({ body, context, next }) => {
+  if (!body.event_id) {
+    await next();
+    return;
+  }
+  
+  if (context.retryNum) {
+    console.log(`Slack retry #${context.retryNum} for event ${body.event_id} (${context.retryReason})`);
+  }
+  
+  let firstDelivery = true;
+  try {
+    firstDelivery = await store.setIfAbsent(`event:${body.event_id}`, Date.now(), DEDUP_TTL_MS);
+  } catch (error) {
+    // Better to risk a duplicate than to drop the event
+    console.error('De-duplication store unavailable:', error.message);
+  }
+  
+  if (!firstDelivery) {
+    console.log(`Skipping duplicate event ${body.event_id}`);
+    return;
+  }
+  
+  await next();
+});
+
+// Run every listener with the Notion client and databases of the workspace the request came from
+app.use(async ({ context, next }) => {
+  const workspaceId = context.isEnterpriseInstall && context.enterpriseId ? context.enterpriseId : context.teamId;
+  const workspace = await loadWorkspace(workspaceId);
+  await workspaceContext.run(workspace, next);
 });
 
-// Database IDs for different request types
-const databaseIds = {
-  feature: process.env.NOTION_FEATURE_DATABASE_ID,
-  bd: process.env.NOTION_BD_DATABASE_ID
-};
+// Request types (databases, statuses, trigger keywords) come from the registry
+const requestTypes = loadRequestTypes();
 
-// Valid status options for each database type
-const validStatuses = {
-  feature: ['New', 'WIP', 'Reviewing', 'Completed', 'Rejected'],
-  bd: ['Not in CRM yet', 'Added to CRM']
-};
+// HELPERBOT_REQUEST_BACKEND=file keeps requests in a local JSON file instead of Notion, with a
+// database per request type named after its key
+const usesFileBackend = process.env.HELPERBOT_REQUEST_BACKEND === 'file';
 
-// Determine request type based on message content
-function getRequestType(text) {
-  console.log(`Checking request type for message: "${text}"`);
-  const lowerText = text.toLowerCase();
+// Initialize Notion client with timeout (or the file backend), used by single-workspace installs
+const defaultNotion = createRequestClient(process.env, {
+  timeoutMs: NOTION_TIMEOUT_MS,
+  databases: requestTypes.types.map(type => ({ id: type.key, title: `${type.label} requests`, statuses: type.statuses }))
+});
+
+// The workspace being handled: { teamId, notion, notionToken, databases, digestChannel }
+const workspaceContext = new AsyncLocalStorage();
+
+// Notion clients per workspace token, reused across requests
+const notionClients = new Map();
+
+// Load a workspace's Notion client and databases; single-workspace installs use the environment
+async function loadWorkspace(teamId) {
+  if (!isMultiWorkspace) {
+    return { teamId, notion: defaultNotion, notionToken: process.env.NOTION_API_KEY, databases: null, digestChannel: null };
+  }
   
-  const bdPatterns = [
-    /\bbd\b/, 
-    /\bbusiness development\b/,
-    /add .* to bd/,
-    /add .* to business development/
-  ];
+  const settings = teamId ? await workspaceSettings.get(teamId) : null;
+  
+  if (!settings?.notionToken) {
+    return { teamId, notion: null, notionToken: null, databases: {}, digestChannel: null };
+  }
+  
+  if (!notionClients.has(settings.notionToken)) {
+    notionClients.set(settings.notionToken, new Client({ auth: settings.notionToken, timeoutMs: NOTION_TIMEOUT_MS }));
+  }
+  
+  return {
+    teamId,
+    notion: notionClients.get(settings.notionToken),
+    notionToken: settings.notionToken,
+    databases: settings.databases || {},
+    digestChannel: settings.digestChannel || null
+  };
+}
+
+// The Notion client of the workspace being handled
+function getNotionClient() {
+  const workspace = workspaceContext.getStore();
+  
+  if (!isMultiWorkspace) {
+    return defaultNotion;
+  }
+  
+  if (!workspace?.notion) {
+    throw new Error("Notion isn't connected for this workspace yet. An admin can connect it with /helperbot config notion");
+  }
+  return workspace.notion;
+}
+
+// Every Notion call goes through the current workspace's client
+const notion = new Proxy({}, {
+  get(target, property) {
+    return getNotionClient()[property];
+  }
+});
+
+// Requests, their content, comments and owners, whichever backend holds them. Nothing else
+// calls the Notion client; only file uploads go to Notion directly.
+const requests = createRequestStore(notion);
+
+// Token for Notion endpoints the client library doesn't cover, like file uploads
+function getNotionToken() {
+  return isMultiWorkspace ? workspaceContext.getStore()?.notionToken : process.env.NOTION_API_KEY;
+}
+
+// A request type's database in the workspace being handled
+function getDatabaseId(typeConfig) {
+  if (!isMultiWorkspace) {
+    return usesFileBackend ? typeConfig.key : typeConfig.databaseId;
+  }
+  return workspaceContext.getStore()?.databases[typeConfig.key];
+}
+
+// Store key for data that belongs to one workspace, like the status log
+function workspaceKey(key) {
+  const teamId = workspaceContext.getStore()?.teamId;
+  return isMultiWorkspace && teamId ? `team:${teamId}:${key}` : key;
+}
+
+// Run a cron job once per installed workspace, with that workspace's Slack and Notion clients
+async function runForEachWorkspace(job) {
+  if (!isMultiWorkspace) {
+    return job(app.client);
+  }
+  
+  const results = {};
+  
+  for (const id of await installationStore.listInstallations()) {
+    try {
+      const installation = await installationStore.fetchInstallation({ teamId: id, enterpriseId: id, isEnterpriseInstall: false });
+      const workspace = await loadWorkspace(id);
+      
+      if (!workspace.notion) {
+        results[id] = { skipped: 'Notion is not connected' };
+        continue;
+      }
+      
+      const client = new webApi.WebClient(installation.bot.token);
+      results[id] = await workspaceContext.run(workspace, () => job(client));
+    } catch (error) {
+      console.error(`Cron job failed for workspace ${id}:`, error);
+      results[id] = { error: error.message };
+    }
+  }
   
-  const isBdRequest = bdPatterns.some(pattern => pattern.test(lowerText));
+  return results;
+}
+
+// Look up a request type, failing loudly for unknown keys
+function getTypeConfig(requestType) {
+  const typeConfig = requestTypes.get(requestType);
+  if (!typeConfig) {
+    throw new Error(`Unknown request type: ${requestType}`);
+  }
+  return typeConfig;
+}
+
+// Determine request type based on message content
+function getRequestType(text, fallbackType) {
+  console.log(`Checking request type for message: "${text}"`);
   
-  const requestType = isBdRequest ? 'bd' : 'feature';
+  const requestType = requestTypes.detectOver(text, fallbackType) || requestTypes.defaultType;
   console.log(`Detected request type: ${requestType}`);
   return requestType;
 }
 
-// Test Notion connection at startup
-async function testNotionConnections() {
-  const results = {};
+// A channel's default request type, set with "config channel default <type>"
+async function getChannelDefaultType(channel) {
+  if (!channel) {
+    return null;
+  }
   
   try {
-    // Test feature database connection
-    const featureDbInfo = await notion.databases.retrieve({
-      database_id: databaseIds.feature
-    });
-    console.log("Feature database connection successful:", featureDbInfo.title);
-    results.feature = true;
+    const key = await store.get(workspaceKey(`channelDefault:${channel}`));
+    return key && requestTypes.get(key) ? key : null;
   } catch (error) {
-    console.error("Failed to connect to feature database:", error.message);
-    results.feature = false;
+    console.error('Failed to read channel default type:', error.message);
+    return null;
   }
+}
+
+// Test Notion connection at startup
+async function testNotionConnections() {
+  const results = {};
   
-  try {
-    // Test BD database connection
-    const bdDbInfo = await notion.databases.retrieve({
-      database_id: databaseIds.bd
-    });
-    console.log("BD database connection successful:", bdDbInfo.title);
-    results.bd = true;
-  } catch (error) {
-    console.error("Failed to connect to BD database:", error.message);
-    results.bd = false;
+  for (const typeConfig of requestTypes.types) {
+    try {
+      const dbInfo = await requests.getDatabase(getDatabaseId(typeConfig));
+      console.log(`${typeConfig.label} database connection successful:`, dbInfo.title);
+      results[typeConfig.key] = true;
+    } catch (error) {
+      console.error(`Failed to connect to ${typeConfig.label} database:`, error.message);
+      results[typeConfig.key] = false;
+    }
   }
   
   return results;
 }
 
-// Run connection tests at startup
-testNotionConnections();
+// Run connection tests at startup; workspaces in multi-workspace mode are checked when configured
+if (!isMultiWorkspace) {
+  testNotionConnections();
+}
 
-// Parse message commands
-function parseCommand(text) {
-  // Check for request type first with the modified text
-  const requestType = getRequestType(text);
-  const lowerText = text.toLowerCase();
+// Parse a mention or slash command (see lib/command-parser.js). Messages that save the thread get
+// their type from the whole message, like the thread's other signals.
+function parseCommand(text, fallbackType, options = {}) {
+  const command = parseCommandText(text, { registry: requestTypes, fallbackType, ...options });
   
-  if (lowerText.includes('help') || lowerText.includes('commands')) {
-    return { type: 'help' };
+  if (command.type === 'create') {
+    return { ...command, requestType: getRequestType(text, fallbackType) };
+  }
+  return command;
+}
+
+// Explain a command that didn't parse, with the usage of the command that was meant
+function formatCommandError(error, prefix) {
+  const usage = error.usage ? `\nUsage: \`${prefix} ${error.usage}\`` : '';
+  return `❌ ${error.message}${usage}`;
+}
+
+// Reply in the Slack thread a command came from
+function createThreadResponder(client, channel, threadTs) {
+  return {
+    async post(message) {
+      const result = await client.chat.postMessage({
+        channel: channel,
+        thread_ts: threadTs,
+        unfurl_links: false,
+        ...message
+      });
+      return result.ts;
+    },
+    async postPrivately(userId, message) {
+      await client.chat.postEphemeral({
+        channel: channel,
+        thread_ts: threadTs,
+        user: userId,
+        ...message
+      });
+    },
+    async update(ts, message) {
+      await client.chat.update({
+        channel: channel,
+        ts: ts,
+        unfurl_links: false,
+        ...message
+      });
+    }
+  };
+}
+
+// Reply privately to the user who ran a slash command
+function createEphemeralResponder(respond) {
+  return {
+    async post(message) {
+      await respond({ response_type: 'ephemeral', unfurl_links: false, ...message });
+      return null;
+    },
+    async postPrivately(userId, message) {
+      await respond({ response_type: 'ephemeral', unfurl_links: false, ...message });
+    },
+    async update(ts, message) {
+      await respond({ response_type: 'ephemeral', replace_original: true, unfurl_links: false, ...message });
+    }
+  };
+}
+
+// How long user group members are remembered
+const USERGROUP_CACHE_TTL_MS = 5 * 60 * 1000;
+const usergroupMembers = new Map();
+
+// Members of a Slack user group (needs the usergroups:read scope)
+async function getUsergroupMembers(client, usergroupId) {
+  const cached = usergroupMembers.get(usergroupId);
+  if (cached && Date.now() - cached.fetchedAt < USERGROUP_CACHE_TTL_MS) {
+    return cached.users;
   }
   
-  if (lowerText.includes('status')) {
-    return { 
-      type: 'status',
-      requestType: requestType,
-      showCompleted: lowerText.includes('all') || lowerText.includes('completed')
-    };
+  const response = await client.usergroups.users.list({ usergroup: usergroupId });
+  usergroupMembers.set(usergroupId, { users: response.users || [], fetchedAt: Date.now() });
+  return response.users || [];
+}
+
+// Explain why a user may not change a type's statuses, or return null when they may.
+// Types without statusEditors are open to everyone.
+async function checkStatusPermission(client, requestType, userId) {
+  const typeConfig = getTypeConfig(requestType);
+  const editors = typeConfig.statusEditors;
+  
+  if (!editors || (userId && editors.users.includes(userId))) {
+    return null;
   }
   
-  if (lowerText.includes('update') && lowerText.includes(' to ')) {
-    // Find the position of 'update' and ' to ' in the text
-    const updatePos = lowerText.indexOf('update');
-    const toPos = lowerText.indexOf(' to ', updatePos);
-    
-    if (toPos > updatePos) {
-      // Extract feature query (everything between 'update' and ' to ')
-      const featureQuery = text.substring(updatePos + 7, toPos).trim();
-      
-      // Extract status (everything after ' to ')
-      let newStatus = text.substring(toPos + 4).trim();
-      
-      // Remove any bot mentions
-      newStatus = newStatus.replace(/<@[A-Z0-9]+>/g, '').trim();
-      
-      // For feature requests, extract just the first word as the status
-      if (getRequestType(text) === 'feature') {
-        // Split by spaces and get the first word
-        const statusWord = newStatus.split(/\s+/)[0];
-        newStatus = statusWord;
+  for (const usergroup of editors.usergroups) {
+    try {
+      if (userId && (await getUsergroupMembers(client, usergroup)).includes(userId)) {
+        return null;
       }
-      
-      console.log(`Parsed update command - Feature: "${featureQuery}", Status: "${newStatus}"`);
-      
-      return {
-        type: 'update',
-        requestType: requestType,
-        featureQuery: featureQuery,
-        newStatus: newStatus
-      };
+    } catch (error) {
+      console.error(`Failed to read members of user group ${usergroup}:`, error.message);
+    }
+  }
+  
+  const allowed = [
+    ...editors.users.map(user => `<@${user}>`),
+    ...editors.usergroups.map(usergroup => `<!subteam^${usergroup}>`)
+  ];
+  return `🔒 You can't change the status of ${typeConfig.label} requests. ${allowed.length > 0 ? `Ask ${allowed.join(', ')} to do it.` : 'Status changes are turned off for this type.'}`;
+}
+
+// Explain why a request can't be saved from a channel, or with a status other than the initial
+// one, or return null when it can
+async function checkCreatePermission(client, channel, requestType, userId, status) {
+  const typeConfig = getTypeConfig(requestType);
+  const allowedTypes = requestTypes.allowedTypes(channel);
+  
+  if (!allowedTypes.includes(typeConfig.key)) {
+    const labels = allowedTypes.map(key => getTypeConfig(key).label);
+    return `🔒 ${typeConfig.label} requests can't be saved from <#${channel}>. ${labels.length > 0 ? `This channel takes ${labels.join(', ')} requests.` : "This channel doesn't take requests."}`;
+  }
+  
+  if (status && status !== typeConfig.initialStatus) {
+    return checkStatusPermission(client, requestType, userId);
+  }
+  
+  return null;
+}
+
+// Workspace admins and owners, plus anyone listed in HELPERBOT_ADMINS, may change settings
+async function isHelperbotAdmin(client, userId) {
+  const admins = (process.env.HELPERBOT_ADMINS || '').split(',').map(id => id.trim()).filter(Boolean);
+  
+  if (admins.includes(userId)) {
+    return true;
+  }
+  
+  try {
+    const info = await client.users.info({ user: userId });
+    return Boolean(info.user?.is_admin || info.user?.is_owner);
+  } catch (error) {
+    console.error(`Failed to look up ${userId}'s role:`, error.message);
+    return false;
+  }
+}
+
+// Set or clear the channel's default request type
+async function handleChannelConfigCommand(client, reply, channel, userId, value) {
+  try {
+    if (!(await isHelperbotAdmin(client, userId))) {
+      await reply.postPrivately(userId, { text: '🔒 Only workspace admins can change channel settings.' });
+      return;
+    }
+    
+    if (['none', 'clear', 'off'].includes(value)) {
+      await store.delete(workspaceKey(`channelDefault:${channel}`));
+      await reply.post({ text: `✅ <#${channel}> no longer has a default type. Requests without a type keyword are saved as ${getTypeConfig(requestTypes.defaultType).label} requests.` });
+      return;
+    }
+    
+    const typeConfig = requestTypes.get(value);
+    
+    if (!typeConfig) {
+      await reply.post({ text: `❌ Unknown request type "${value}". Valid types are: ${requestTypes.types.map(type => type.key).join(', ')}` });
+      return;
+    }
+    
+    if (!requestTypes.allowedTypes(channel).includes(typeConfig.key)) {
+      await reply.post({ text: `❌ ${typeConfig.label} requests can't be saved from <#${channel}>, so it can't be the default here.` });
+      return;
+    }
+    
+    await store.set(workspaceKey(`channelDefault:${channel}`), typeConfig.key);
+    await reply.post({ text: `✅ Requests in <#${channel}> are now saved as ${typeConfig.label} requests unless the message names another type.` });
+  } catch (error) {
+    console.error('Error changing channel settings:', error);
+    await reply.post({ text: `❌ Failed to change channel settings: ${error.message}` });
+  }
+}
+
+// Open the Notion settings modal for the workspace; modals need a trigger, so only the slash
+// command can do it
+async function handleNotionConfigCommand(client, reply, userId, triggerId) {
+  try {
+    if (!isMultiWorkspace) {
+      await reply.post({ text: 'ℹ️ This HelperBot uses the Notion settings from its environment (NOTION_API_KEY and the database IDs).' });
+      return;
+    }
+    
+    if (!(await isHelperbotAdmin(client, userId))) {
+      await reply.postPrivately(userId, { text: '🔒 Only workspace admins can change the Notion settings.' });
+      return;
     }
+    
+    if (!triggerId) {
+      await reply.post({ text: 'Use `/helperbot config notion` to open the Notion settings.' });
+      return;
+    }
+    
+    const settings = await workspaceSettings.get(workspaceContext.getStore().teamId);
+    
+    await client.views.open({
+      trigger_id: triggerId,
+      view: buildNotionSettingsModal(settings)
+    });
+  } catch (error) {
+    console.error('Error opening Notion settings:', error);
+    await reply.post({ text: `❌ Failed to open the Notion settings: ${error.message}` });
   }
+}
+
+// Modal with the workspace's Notion token, a database per request type and the digest channel
+function buildNotionSettingsModal(settings) {
+  const databaseBlocks = requestTypes.types.map(typeConfig => ({
+    type: 'input',
+    block_id: `database_${typeConfig.key}`,
+    optional: true,
+    label: { type: 'plain_text', text: `${typeConfig.label} database ID` },
+    element: {
+      type: 'plain_text_input',
+      action_id: 'value',
+      ...(settings?.databases?.[typeConfig.key] ? { initial_value: settings.databases[typeConfig.key] } : {})
+    }
+  }));
   
-  // Default: create request
-  return { 
-    type: 'create',
-    requestType: requestType
+  return {
+    type: 'modal',
+    callback_id: 'notion_settings_modal',
+    title: { type: 'plain_text', text: 'Notion settings' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'notion_token',
+        optional: Boolean(settings?.notionToken),
+        label: { type: 'plain_text', text: 'Notion integration token' },
+        hint: {
+          type: 'plain_text',
+          text: settings?.notionToken
+            ? 'A token is saved already; leave this empty to keep it'
+            : 'From the integration at notion.so/my-integrations, shared with each database below'
+        },
+        element: { type: 'plain_text_input', action_id: 'value' }
+      },
+      ...databaseBlocks,
+      {
+        type: 'input',
+        block_id: 'digest_channel',
+        optional: true,
+        label: { type: 'plain_text', text: 'Weekly digest channel' },
+        element: {
+          type: 'conversations_select',
+          action_id: 'value',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          ...(settings?.digestChannel ? { initial_conversation: settings.digestChannel } : {})
+        }
+      }
+    ]
+  };
+}
+
+// The settings modal's place once the settings are saved
+function buildNotionSettingsStatusModal(text) {
+  return {
+    type: 'modal',
+    callback_id: 'notion_settings_status',
+    title: { type: 'plain_text', text: 'Notion settings' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: text } }]
   };
 }
 
-app.event('app_mention', async ({ event, client }) => {
+// How long each database check may take. Slack drops submissions that aren't answered within 3
+// seconds, and the ack only goes out when this listener returns, so the checks run side by side.
+const SETTINGS_CHECK_TIMEOUT_MS = 2000;
+
+// Check every database with the submitted token before saving the workspace's settings, then
+// answer the submission with the problems or the saved settings
+app.view('notion_settings_modal', async ({ ack, view, body, client }) => {
+  const values = view.state.values;
+  const teamId = workspaceContext.getStore().teamId;
+  
   try {
-    console.log('Received app_mention event with text:', event.text);
-    const threadTs = event.thread_ts || event.ts;
+    if (!(await isHelperbotAdmin(client, body.user.id))) {
+      await ack({ response_action: 'errors', errors: { notion_token: 'Only workspace admins can change the Notion settings' } });
+      return;
+    }
     
-    // Check if this event was recently processed to prevent duplicates
-    const eventKey = `${event.channel}-${threadTs}-${event.ts}`;
-    const lastProcessed = processedThreads.get(eventKey);
-    const now = Date.now();
+    const current = await workspaceSettings.get(teamId);
+    const notionToken = (values.notion_token.value.value || '').trim() || current?.notionToken;
     
-    if (lastProcessed && (now - lastProcessed) < DUPLICATE_PREVENTION_WINDOW_MS) {
-      console.log(`Skipping duplicate event (processed ${now - lastProcessed}ms ago)`);
-      return; 
+    if (!notionToken) {
+      await ack({ response_action: 'errors', errors: { notion_token: 'Enter the token of your Notion integration' } });
+      return;
     }
     
-    // Mark this event as being processed
-    processedThreads.set(eventKey, now);
+    const candidate = createRequestStore(new Client({ auth: notionToken, timeoutMs: SETTINGS_CHECK_TIMEOUT_MS }));
+    const databases = {};
+    const errors = {};
     
-    // Clean up old entries from the map to prevent memory leaks
-    for (const [key, timestamp] of processedThreads.entries()) {
-      if (now - timestamp > DUPLICATE_PREVENTION_WINDOW_MS) {
-        processedThreads.delete(key);
+    await Promise.all(requestTypes.types.map(async typeConfig => {
+      const databaseId = (values[`database_${typeConfig.key}`].value.value || '').trim();
+      if (!databaseId) return;
+      
+      try {
+        await candidate.getDatabase(databaseId);
+        databases[typeConfig.key] = databaseId;
+      } catch (error) {
+        console.error(`Notion settings: ${typeConfig.label} database check failed:`, error.message);
+        if (error.code === 'unauthorized') {
+          errors.notion_token = 'Notion rejected this token';
+        } else if (error.code === 'notionhq_client_request_timeout') {
+          errors[`database_${typeConfig.key}`] = "Notion didn't answer in time. Try saving again.";
+        } else {
+          errors[`database_${typeConfig.key}`] = `Can't open this database (${error.message}). Is it shared with the integration?`;
+        }
       }
+    }));
+    
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors: errors });
+      return;
     }
+    
+    await workspaceSettings.set(teamId, {
+      notionToken: notionToken,
+      databases: databases,
+      digestChannel: values.digest_channel.value.selected_conversation || null
+    });
+    console.log(`Saved Notion settings for workspace ${teamId}:`, Object.keys(databases));
+    
+    const configured = requestTypes.types
+      .map(typeConfig => `${databases[typeConfig.key] ? '✅' : '➖'} ${typeConfig.label}`)
+      .join('\n');
+    
+    await ack({
+      response_action: 'update',
+      view: buildNotionSettingsStatusModal(`✅ Notion settings saved.\n${configured}`)
+    });
+  } catch (error) {
+    console.error('Error saving Notion settings:', error);
+    await ack({ response_action: 'errors', errors: { notion_token: `Failed to save the Notion settings: ${error.message}` } });
+  }
+});
+
+// Run a parsed command; creating needs a thread to snapshot, so only mentions can do it
+async function runCommand(command, { client, reply, channel, threadTs, userId, triggerId }) {
+  switch (command.type) {
+    case 'help':
+      await handleHelpCommand(reply, channel);
+      break;
+      
+    case 'status':
+      await handleStatusCommand(reply, {
+        requestType: command.requestType,
+        showCompleted: command.showCompleted,
+        status: command.status,
+        requester: command.mine ? userId : command.requester,
+        channel: command.channel,
+        since: command.since,
+        sortByVotes: command.sortByVotes
+      });
+      break;
+      
+    case 'update':
+      await handleUpdateCommand(client, reply, command.requestType, command.featureQuery, command.newStatus, userId);
+      break;
+      
+    case 'assign':
+      await handleChangeCommand(client, reply, command.requestType, command.featureQuery, { kind: 'assign', value: command.assignee });
+      break;
+      
+    case 'search':
+      await handleSearchCommand(reply, command.query);
+      break;
+      
+    case 'config':
+      await handleChannelConfigCommand(client, reply, channel, userId, command.defaultType);
+      break;
+      
+    case 'config_notion':
+      await handleNotionConfigCommand(client, reply, userId, triggerId);
+      break;
+      
+    case 'show':
+      await handleShowCommand(reply, command.requestType, command.featureQuery);
+      break;
+      
+    case 'history':
+      await handleHistoryCommand(reply, command.requestType, command.featureQuery);
+      break;
+      
+    case 'priority':
+      await handleChangeCommand(client, reply, command.requestType, command.featureQuery, { kind: 'priority', value: command.priority });
+      break;
+      
+    case 'tag':
+      await handleChangeCommand(client, reply, command.requestType, command.featureQuery, { kind: 'tags', value: command.tags });
+      break;
+      
+    case 'sync':
+      if (!threadTs) {
+        await reply.post({ text: "Syncing is set per thread. Mention @helperbot in a saved thread to stop or start syncing it." });
+        break;
+      }
+      await handleSyncCommand(reply, channel, threadTs, command.enabled);
+      break;
+      
+    case 'create':
+    default:
+      if (!threadTs) {
+        await reply.post({
+          text: "To save a request, mention @helperbot in the thread you want to save. Try '/helperbot help' for commands."
+        });
+        break;
+      }
+      await handleCreateCommand(client, channel, threadTs, command.requestType, {
+        priority: command.priority,
+        tags: command.tags,
+        actorId: userId
+      });
+  }
+}
 
+app.event('app_mention', async ({ event, client, context }) => {
+  try {
+    console.log('Received app_mention event with text:', event.text);
+    const threadTs = event.thread_ts || event.ts;
+    
     const isInThread = event.thread_ts && event.ts !== event.thread_ts;
         
     // Get all messages in the thread for context
@@ -204,46 +759,46 @@ app.event('app_mention', async ({ event, client }) => {
       console.log(`Message ${i}: ${msg.text}`);
     });
     
-    let commandText = event.text;
+    let threadRequestType;
+    
+    const channelDefault = await getChannelDefaultType(event.channel);
     
-    // If it's in a thread, also check the original message for BD context
+    // If it's in a thread, also check the original message for request type context
     if (isInThread && replies.messages && replies.messages.length > 0) {
       const originalMessage = replies.messages[0];
       console.log('Original thread message:', originalMessage.text);
       
-      // Check if the original message contains BD indicators
-      const originalRequestType = getRequestType(originalMessage.text);
-      
-      // If the original message is a BD request, enforce that type
-      if (originalRequestType === 'bd') {
-        // Modify the command text to include "bd" to force BD detection
-        commandText = `bd ${commandText}`;
-        console.log('Thread contains BD context, modified command text:', commandText);
+      // A type named on the original message becomes the fallback for this command, even the
+      // default type when the channel's default is another one
+      threadRequestType = requestTypes.detectOver(originalMessage.text, channelDefault);
+      if (threadRequestType && threadRequestType !== channelDefault) {
+        console.log(`Thread contains ${threadRequestType} context`);
       }
     }
     
-    // Parse the command with the potentially modified text
-    const command = parseCommand(commandText);
+    const reply = createThreadResponder(client, event.channel, threadTs);
+    let command;
+    
+    // Parse the command, falling back to the thread's request type, then the channel's default
+    try {
+      command = parseCommand(event.text, threadRequestType || channelDefault, { botUserId: context.botUserId });
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        throw error;
+      }
+      console.log(`Could not parse command (${error.code}):`, error.message);
+      await reply.post({ text: formatCommandError(error, '@helperbot') });
+      return;
+    }
     console.log('Parsed command:', command);
             
-    // Handle different command types
-    switch (command.type) {
-      case 'help':
-        await handleHelpCommand(client, event.channel, threadTs);
-        break;
-        
-      case 'status':
-        await handleStatusCommand(client, event.channel, threadTs, command.requestType, command.showCompleted);
-        break;
-        
-      case 'update':
-        await handleUpdateCommand(client, event.channel, threadTs, command.requestType, command.featureQuery, command.newStatus);
-        break;
-        
-      case 'create':
-      default:
-        await handleCreateCommand(client, event.channel, threadTs, command.requestType);
-    }
+    await runCommand(command, {
+      client: client,
+      reply: reply,
+      channel: event.channel,
+      threadTs: threadTs,
+      userId: event.user
+    });
   } catch (error) {
     console.error('Error handling command:', error);
     try {
@@ -259,111 +814,573 @@ app.event('app_mention', async ({ event, client }) => {
   }
 });
 
-// Help command handler
-async function handleHelpCommand(client, channel, threadTs) {
+// Slash command: same commands as mentions, answered ephemerally from any channel or DM
+// With processBeforeResponse the ack only reaches Slack when the handler returns, so commands
+// that take over 3 seconds show the user operation_timeout before their result arrives. The
+// function can't keep running after it has answered on Vercel; see the README.
+app.command('/helperbot', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const reply = createEphemeralResponder(respond);
+  
+  try {
+    console.log('Received /helperbot command with text:', command.text);
+    
+    let parsed;
+    try {
+      parsed = command.text.trim()
+        ? parseCommand(command.text, await getChannelDefaultType(command.channel_id))
+        : { type: 'help' };
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        throw error;
+      }
+      console.log(`Could not parse command (${error.code}):`, error.message);
+      await reply.post({ text: formatCommandError(error, '/helperbot') });
+      return;
+    }
+    console.log('Parsed command:', parsed);
+    
+    await runCommand(parsed, {
+      client: client,
+      reply: reply,
+      channel: command.channel_id,
+      userId: command.user_id,
+      triggerId: command.trigger_id
+    });
+  } catch (error) {
+    console.error('Error handling slash command:', error);
+    try {
+      await reply.post({ text: `❌ Something went wrong: ${error.message}` });
+    } catch (respondError) {
+      console.error('Failed to send error message:', respondError);
+    }
+  }
+});
+
+// Help command handler; keyword-less commands use the channel's default type when it has one
+async function handleHelpCommand(reply, channel) {
+  const channelDefault = await getChannelDefaultType(channel);
+  const defaultConfig = getTypeConfig(channelDefault || requestTypes.defaultType);
+  const otherTypes = requestTypes.types.filter(type => type.key !== defaultConfig.key);
+  
+  const createLines = otherTypes
+    .map(type => `  • Include "${type.keywords[0]}" in your message for ${type.label} requests`)
+    .concat(`  • Otherwise it will be saved as a ${defaultConfig.label} request`)
+    .join('\n');
+  const updateLines = [`  • @helperbot update [title] to [status] (${defaultConfig.label})`]
+    .concat(otherTypes.map(type => `  • @helperbot update ${type.key} [title] to [status]`))
+    .join('\n');
+  const statusLines = [`  • @helperbot status (${defaultConfig.label} requests only)`]
+    .concat(otherTypes.map(type => `  • @helperbot status ${type.key} (${type.label} requests only)`))
+    .join('\n');
+  const statusList = requestTypes.types
+    .map(type => `- ${type.label} requests: ${type.statuses.join(', ')}`)
+    .join('\n');
+
   const helpText = `*HelperBot Commands:*\n
 - *Create a request:* Tag @helperbot in a thread to save the thread
-  • Include "bd" in your message for business development requests
-  • Otherwise it will be saved as a feature request
+${createLines}
 
 - *Update status:* 
-  • @helperbot update [feature] to [status]
-  • @helperbot update bd [title] to [status]
+${updateLines}
   • ⚠️ IMPORTANT: @helperbot must be at the START of your message
+  • Quote titles and statuses with spaces: @helperbot update "Export to CSV" to "WIP"
+
+- *Assign an owner:* @helperbot assign [title] to @user (add the type keyword for other types)
+
+- *Priority and tags:* Add "p1" or "#billing" when saving a thread, or later:
+  • @helperbot set priority [title] to p2
+  • @helperbot tag [title] #billing #mobile
 
 - *Check statuses:* 
-  • @helperbot status (features only)
-  • @helperbot status bd (BD requests only)
+${statusLines}
   • Add "all" to include completed requests
+  • Filter with a status name, "mine", "from @user", "in #channel" or "since 2026-09-01"
+  • Add "by votes" to put the most voted requests first
+
+- *Search:* @helperbot search [words] (titles and page content of every request type)
+
+- *Details:* @helperbot show [title] (add the type keyword for other types)
+
+- *History:* @helperbot history [title] (who changed the status, when, and time spent in each status)
+
+- *Stop syncing:* @helperbot stop syncing (in a saved thread, "start syncing" turns it back on)
+
+${isMultiWorkspace ? '- *Notion settings:* /helperbot config notion (admins connect this workspace\'s Notion databases)\n\n' : ''}- *Channel default:* ${channelDefault ? `${defaultConfig.label} in this channel` : `none in this channel, ${defaultConfig.label} is used`} (admins can change it with @helperbot config channel default [type], or "none" to clear it)
 
 - *Help:* @helperbot help
 
+_Use /helperbot help, /helperbot status or /helperbot update anywhere to get a private reply._
+
 *Valid statuses:*
-- Feature requests: ${validStatuses.feature.join(', ')}
-- BD requests: ${validStatuses.bd.join(', ')}`;
+${statusList}`;
 
-  await client.chat.postMessage({
-    channel: channel,
-    thread_ts: threadTs,
-    text: helpText,
-    unfurl_links: false
-  });
+  await reply.post({ text: helpText });
 }
 
-// Status command handler
-async function handleStatusCommand(client, channel, threadTs, requestType, showCompleted) {
-  const dbType = requestType.charAt(0).toUpperCase() + requestType.slice(1);
-  
-  const loadingMessage = await client.chat.postMessage({
-    channel: channel,
-    thread_ts: threadTs,
-    text: `Fetching ${dbType} statuses...`,
-    unfurl_links: false
-  });
+// Read a request's title from its Notion page
+function getPageTitle(page) {
+  return page.properties.Title?.title[0]?.text?.content || "Untitled";
+}
 
-  try {
-    // Get the appropriate database ID
-    const dbId = databaseIds[requestType];
+// Read a request's status from its Notion page
+function getPageStatus(page) {
+  return page.properties.Status?.select?.name || "Unknown";
+}
+
+// Names of the Notion users in a people property, or null when it's empty or missing
+function getPeopleNames(page, property) {
+  const people = page.properties[property]?.people || [];
+  return people.length > 0 ? people.map(person => person.name || 'Unknown').join(', ') : null;
+}
+
+// Text property holding the Slack user ID of whoever started a request (optional)
+const REQUESTER_ID_PROPERTY = 'Requester Slack ID';
+
+// People properties for who owns and who asked for a request (optional)
+const OWNER_PROPERTY = 'Owner';
+const REQUESTER_PROPERTY = 'Requester';
+
+// Select and multi-select properties set from "p1" and "#tag" (optional)
+const PRIORITY_PROPERTY = 'Priority';
+const TAGS_PROPERTY = 'Tags';
+
+// Statuses shown per status board page
+const STATUS_PAGE_SIZE = 10;
+
+// Database properties, fetched once per database per instance
+const databaseSchemas = new Map();
+
+async function getDatabaseProperties(dbId) {
+  if (!databaseSchemas.has(dbId)) {
+    const database = await requests.getDatabase(dbId);
+    databaseSchemas.set(dbId, database.properties);
+  }
+  return databaseSchemas.get(dbId);
+}
+
+// Match typed values to a select or multi-select property's options, ignoring case and letting
+// "p1" stand for an option like "P1 - Urgent"
+function matchPropertyOptions(schema, property, type, values) {
+  const definition = schema[property];
+  
+  if (!definition || definition.type !== type) {
+    return { error: `The database has no "${property}" ${type.replace('_', '-')} property` };
+  }
+  
+  const options = definition[type].options.map(option => option.name);
+  const matched = [];
+  const unknown = [];
+  
+  for (const value of values) {
+    const option = options.find(name => name.toLowerCase() === value.toLowerCase())
+      || options.find(name => new RegExp(`^${escapeRegExp(value)}\\b`, 'i').test(name));
     
-    if (!dbId) {
-      throw new Error(`No database ID configured for ${requestType} requests`);
+    if (option) {
+      matched.push(option);
+    } else {
+      unknown.push(value);
     }
-    
-    console.log(`Querying ${requestType} database with ID: ${dbId}`);
-    
-    // Create query options
-    const queryOptions = {
-      database_id: dbId,
-      sorts: [{ timestamp: "last_edited_time", direction: "descending" }],
-      page_size: 10
+  }
+  
+  if (unknown.length > 0) {
+    return {
+      matched: matched,
+      error: `Unknown ${property.toLowerCase()} ${unknown.map(value => `"${value}"`).join(', ')} (options: ${options.join(', ') || 'none'})`
     };
-    
-    if (!showCompleted) {
-      // Use the appropriate statuses for each database type
-      const completedStatus = requestType === 'bd' ? 'Added to CRM' : 'Completed';
-      
-      queryOptions.filter = {
-        property: "Status",
-        select: { does_not_equal: completedStatus }
-      };
-    }
-    
-    // Query with timeout protection
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Request timed out')), NOTION_TIMEOUT_MS)
-    );
-    
-    const responsePromise = notion.databases.query(queryOptions);
-    const response = await Promise.race([responsePromise, timeoutPromise]);
-    
-    // Format response
-    let formattedResponse = `*${dbType} Requests Status:*\n\n`;
-    
-    if (response.results.length === 0) {
-      formattedResponse += "No requests found.";
+  }
+  
+  return { matched };
+}
+
+// Turn a priority and tags into Notion properties for a database, collecting a problem for
+// anything its schema doesn't allow (known tags are kept). Options added in Notion since the schema was cached are
+// picked up by fetching it again.
+async function buildClassificationProperties(dbId, { priority, tags }, refreshed = false) {
+  const schema = await getDatabaseProperties(dbId);
+  const properties = {};
+  const problems = [];
+  
+  if (priority) {
+    const result = matchPropertyOptions(schema, PRIORITY_PROPERTY, 'select', [priority]);
+    if (result.error) {
+      problems.push(result.error);
     } else {
-      response.results.forEach((page) => {
-        try {
-          const title = page.properties.Title?.title[0]?.text?.content || "Untitled";
-          const status = page.properties.Status?.select?.name || "Unknown";
-          formattedResponse += `• *${title}* - ${status}\n`;
-        } catch (err) {
-          formattedResponse += `• *Error formatting request*\n`;
-        }
-      });
+      properties[PRIORITY_PROPERTY] = { select: { name: result.matched[0] } };
     }
-    
-    if (!showCompleted) {
-      const completedStatus = requestType === 'bd' ? 'Added to CRM' : 'Completed';
-      formattedResponse += `\n_${completedStatus} ${requestType} requests are hidden. Use '@helperbot status ${requestType} all' to see everything._`;
+  }
+  
+  if (tags && tags.length > 0) {
+    const result = matchPropertyOptions(schema, TAGS_PROPERTY, 'multi_select', tags);
+    if (result.error) {
+      problems.push(result.error);
+    }
+    if (result.matched && result.matched.length > 0) {
+      properties[TAGS_PROPERTY] = { multi_select: result.matched.map(name => ({ name })) };
+    }
+  }
+  
+  if (problems.length > 0 && !refreshed) {
+    databaseSchemas.delete(dbId);
+    return buildClassificationProperties(dbId, { priority, tags }, true);
+  }
+  
+  return { properties, problems };
+}
+
+// Status boards are identified by what they show. The state travels inside Slack block IDs,
+// which are capped at 255 characters, so it's packed as a positional array.
+function encodeBoard(board) {
+  return JSON.stringify([
+    board.requestType,
+    board.showCompleted ? 1 : 0,
+    board.status || null,
+    board.requester || null,
+    board.channel || null,
+    board.since || null,
+    board.cursor || null,
+    board.offset || 0,
+    board.sortByVotes ? 1 : 0
+  ]);
+}
+
+function decodeBoard(text) {
+  const [requestType, showCompleted, status, requester, channel, since, cursor, offset, sortByVotes] = JSON.parse(text);
+  return { requestType, showCompleted: showCompleted === 1, status, requester, channel, since, cursor, offset, sortByVotes: sortByVotes === 1 };
+}
+
+// Notion filter for a board; countsOnly leaves out the status conditions so every status is counted
+async function buildRequestFilter(board, countsOnly) {
+  const typeConfig = getTypeConfig(board.requestType);
+  const conditions = [];
+  
+  if (!countsOnly) {
+    if (board.status) {
+      conditions.push({ property: "Status", select: { equals: board.status } });
+    } else if (!board.showCompleted && typeConfig.doneStatus) {
+      // Types without a done status have nothing to hide
+      conditions.push({ property: "Status", select: { does_not_equal: typeConfig.doneStatus } });
+    }
+  }
+  
+  if (board.requester) {
+    const properties = await getDatabaseProperties(getDatabaseId(typeConfig));
+    if (!properties[REQUESTER_ID_PROPERTY]) {
+      throw new Error(`Filtering by requester needs a "${REQUESTER_ID_PROPERTY}" text property in the ${typeConfig.label} database`);
+    }
+    conditions.push({ property: REQUESTER_ID_PROPERTY, rich_text: { equals: board.requester } });
+  }
+  
+  if (board.channel) {
+    conditions.push({ property: "Slack URL", url: { contains: `/archives/${board.channel}/` } });
+  }
+  
+  if (board.since) {
+    conditions.push({ timestamp: "created_time", created_time: { on_or_after: board.since } });
+  }
+  
+  if (board.editedSince) {
+    conditions.push({ timestamp: "last_edited_time", last_edited_time: { on_or_after: board.editedSince } });
+  }
+  
+  if (board.createdBefore) {
+    conditions.push({ timestamp: "created_time", created_time: { before: board.createdBefore } });
+  }
+  
+  if (conditions.length === 0) return undefined;
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+// Race a Notion call against our own timeout
+function withNotionTimeout(promise) {
+  const timeoutPromise = new Promise((_, reject) => 
+    setTimeout(() => reject(new Error('Request timed out')), NOTION_TIMEOUT_MS)
+  );
+  return Promise.race([promise, timeoutPromise]);
+}
+
+// Query one page of a board's requests, most recently edited first, least recently edited first
+// with oldestEditedFirst, or most voted first
+async function queryRequests(board) {
+  const typeConfig = getTypeConfig(board.requestType);
+  
+  // Get the appropriate database ID
+  const dbId = getDatabaseId(typeConfig);
+  
+  if (!dbId) {
+    throw new Error(`No database ID configured for ${board.requestType} requests`);
+  }
+  
+  console.log(`Querying ${board.requestType} database with ID: ${dbId}`);
+  
+  const sorts = [{ timestamp: "last_edited_time", direction: board.oldestEditedFirst ? "ascending" : "descending" }];
+  
+  if (board.sortByVotes) {
+    const properties = await getDatabaseProperties(dbId);
+    if (properties[VOTES_PROPERTY]?.type !== 'number') {
+      throw new Error(`Sorting by votes needs a "${VOTES_PROPERTY}" number property in the ${typeConfig.label} database`);
+    }
+    sorts.unshift({ property: VOTES_PROPERTY, direction: "descending" });
+  }
+  
+  return withNotionTimeout(requests.list(dbId, {
+    filter: await buildRequestFilter(board, false),
+    sorts: sorts,
+    pageSize: board.pageSize || STATUS_PAGE_SIZE,
+    cursor: board.cursor
+  }));
+}
+
+// Fetch a board's requests across result pages, up to a limit
+async function queryAllRequests(board, limit = 100) {
+  const pages = [];
+  let cursor;
+  
+  do {
+    const response = await queryRequests({ ...board, cursor: cursor, pageSize: 100 });
+    pages.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor && pages.length < limit);
+  
+  return pages.slice(0, limit);
+}
+
+// Most requests counted for a board, so large databases stay within the function's time limit,
+// and how long "Show more" reuses the counts
+const STATUS_COUNT_LIMIT = parseInt(process.env.HELPERBOT_STATUS_COUNT_LIMIT || '500', 10);
+const STATUS_COUNT_TTL_MS = 5 * 60 * 1000;
+
+// Count a board's requests per status, including the ones the board hides: { counts, complete }.
+// With useCache, counts from the last few minutes are reused for the same filters.
+async function countRequestsByStatus(board, useCache = false) {
+  const typeConfig = getTypeConfig(board.requestType);
+  const cacheKey = workspaceKey(`statusCounts:${encodeBoard({ ...board, cursor: null, offset: 0, sortByVotes: false })}`);
+  
+  if (useCache) {
+    try {
+      const cached = await store.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      console.error('Failed to read cached status counts:', error.message);
     }
+  }
+  
+  const filter = await buildRequestFilter(board, true);
+  const counts = {};
+  let scanned = 0;
+  let cursor;
+  
+  do {
+    const response = await withNotionTimeout(requests.list(getDatabaseId(typeConfig), {
+      filter: filter,
+      cursor: cursor
+    }));
     
-    await client.chat.update({
-      channel: channel,
-      ts: loadingMessage.ts,
-      text: formattedResponse,
-      unfurl_links: false
+    for (const page of response.results) {
+      const status = getPageStatus(page);
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    scanned += response.results.length;
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor && scanned < STATUS_COUNT_LIMIT);
+  
+  const result = { counts, complete: !cursor };
+  
+  try {
+    await store.set(cacheKey, result, STATUS_COUNT_TTL_MS);
+  } catch (error) {
+    console.error('Failed to cache status counts:', error.message);
+  }
+  
+  return result;
+}
+
+// Set a request's status, returning the updated page and the status it had before. The actor is
+// the name of whoever made the change, for the request's history. Setting the status a request
+// already has changes nothing, so `changed` is false and no history is recorded.
+async function setRequestStatus(page, newStatus, actor) {
+  const previousStatus = getPageStatus(page);
+  
+  if (previousStatus === newStatus) {
+    return { page: page, previousStatus, changed: false };
+  }
+  
+  const updatedPage = await requests.updateStatus(page.id, newStatus);
+  
+  // Changes made from Slack are announced there already, so the Notion poller shouldn't repeat them
+  await rememberStatus(page.id, newStatus);
+  await recordStatusChange(page, previousStatus, newStatus, { actor: actor, source: 'Slack' });
+  
+  return { page: updatedPage, previousStatus, changed: true };
+}
+
+// Render one request as a section with links and a status menu; the block ID carries the
+// page and the board it belongs to, since ephemeral boards are not sent back with actions
+function buildStatusBoardItem(page, board) {
+  const typeConfig = getTypeConfig(board.requestType);
+  const title = escapeMrkdwn(getPageTitle(page));
+  const status = getPageStatus(page);
+  const slackUrl = page.properties["Slack URL"]?.url;
+  
+  const links = [`<${page.url}|Notion>`];
+  if (slackUrl) {
+    links.push(`<${slackUrl}|Slack thread>`);
+  }
+  
+  const details = [];
+  const priority = page.properties[PRIORITY_PROPERTY]?.select?.name;
+  const tags = (page.properties[TAGS_PROPERTY]?.multi_select || []).map(tag => `#${tag.name}`);
+  const owner = getPeopleNames(page, OWNER_PROPERTY);
+  const requesterId = page.properties[REQUESTER_ID_PROPERTY]?.rich_text?.[0]?.plain_text;
+  const requester = getPeopleNames(page, REQUESTER_PROPERTY) || (requesterId ? `<@${requesterId}>` : null);
+  const votes = page.properties[VOTES_PROPERTY]?.number;
+  if (votes) details.push(`Votes: ${votes}`);
+  if (priority) details.push(`Priority: ${escapeMrkdwn(priority)}`);
+  if (tags.length > 0) details.push(escapeMrkdwn(tags.join(' ')));
+  if (owner) details.push(`Owner: ${owner}`);
+  if (requester) details.push(`Requested by ${requester}`);
+  
+  const section = {
+    type: 'section',
+    block_id: `request:${page.id}:${encodeBoard(board)}`,
+    text: {
+      type: 'mrkdwn',
+      text: `*${title}*\nStatus: *${status}* · ${links.join(' · ')}${details.length > 0 ? `\n${details.join(' · ')}` : ''}`
+    },
+    accessory: {
+      type: 'static_select',
+      action_id: 'status_board_select',
+      placeholder: { type: 'plain_text', text: 'Change status' },
+      options: typeConfig.statuses.map(option => toOption(option))
+    }
+  };
+  
+  if (typeConfig.statuses.includes(status)) {
+    section.accessory.initial_option = toOption(status);
+  }
+  
+  return section;
+}
+
+// Is a status left out of the board by its filters?
+function isStatusHidden(board, status) {
+  const typeConfig = getTypeConfig(board.requestType);
+  if (board.status) {
+    return status !== board.status;
+  }
+  return !board.showCompleted && status === typeConfig.doneStatus;
+}
+
+// Describe a board's filters, e.g. "from @ann in #general since 2026-09-01"
+function describeBoardFilters(board) {
+  const parts = [];
+  if (board.status) parts.push(`with status ${board.status}`);
+  if (board.requester) parts.push(`from <@${board.requester}>`);
+  if (board.channel) parts.push(`in <#${board.channel}>`);
+  if (board.since) parts.push(`since ${board.since}`);
+  if (board.sortByVotes) parts.push('by votes');
+  return parts.join(' ');
+}
+
+// Render the status board, with per-status counts, an optional note about the last change
+// and a "Show more" button while Notion has more results
+function buildStatusBoard(board, response, { counts, complete }, note) {
+  const typeConfig = getTypeConfig(board.requestType);
+  const dbType = typeConfig.label;
+  const pages = response.results;
+  
+  // Past the count limit the numbers only cover the most recently edited requests
+  const countSummary = (typeConfig.statuses
+    .concat(Object.keys(counts).filter(status => !typeConfig.statuses.includes(status)))
+    .filter(status => counts[status])
+    .map(status => `${status}: ${counts[status]}${complete ? '' : '+'}${isStatusHidden(board, status) ? ' (hidden)' : ''}`)
+    .join(' · ') || 'No requests') + (complete ? '' : ` (counted the first ${STATUS_COUNT_LIMIT})`);
+  const shownTotal = Object.keys(counts)
+    .filter(status => !isStatusHidden(board, status))
+    .reduce((total, status) => total + counts[status], 0) + (complete ? '' : '+');
+  const filterSummary = describeBoardFilters(board);
+  
+  // Plain text fallback for notifications and clients without Block Kit
+  let formattedResponse = `*${dbType} Requests Status:*${filterSummary ? ` ${filterSummary}` : ''}\n${countSummary}\n\n`;
+  
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: `${dbType} Requests Status` }
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: filterSummary ? `${countSummary}\nShowing requests ${filterSummary}` : countSummary }]
+    }
+  ];
+  
+  if (note) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: note }] });
+  }
+  
+  if (pages.length === 0) {
+    formattedResponse += "No requests found.";
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: "No requests found." } });
+  } else {
+    pages.forEach((page) => {
+      try {
+        formattedResponse += `• *${getPageTitle(page)}* - ${getPageStatus(page)}\n`;
+        blocks.push(buildStatusBoardItem(page, board));
+      } catch (err) {
+        formattedResponse += `• *Error formatting request*\n`;
+      }
+    });
+  }
+  
+  const offset = board.offset || 0;
+  const footer = [`Showing ${pages.length ? offset + 1 : 0}–${offset + pages.length} of ${shownTotal}`];
+  
+  if (!board.status && !board.showCompleted && typeConfig.doneStatus) {
+    footer.push(`_${typeConfig.doneStatus} ${typeConfig.label} requests are hidden. Use '@helperbot status ${board.requestType} all' to see everything._`);
+  }
+  
+  formattedResponse += `\n${footer.join('\n')}`;
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: footer.join('\n') }] });
+  
+  if (response.has_more) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'status_board_more',
+          text: { type: 'plain_text', text: 'Show more' },
+          value: encodeBoard({ ...board, cursor: response.next_cursor, offset: offset + pages.length })
+        }
+      ]
     });
+  }
+  
+  return { text: formattedResponse, blocks };
+}
+
+// Fetch and render a board; "Show more" passes useCachedCounts since only the page changes
+async function loadStatusBoard(board, note, useCachedCounts = false) {
+  const [response, counts] = await Promise.all([
+    queryRequests(board),
+    countRequestsByStatus(board, useCachedCounts)
+  ]);
+  return buildStatusBoard(board, response, counts, note);
+}
+
+// Status command handler
+async function handleStatusCommand(reply, board) {
+  const requestType = board.requestType;
+  const typeConfig = getTypeConfig(requestType);
+  const dbType = typeConfig.label;
+  
+  const loadingTs = await reply.post({ text: `Fetching ${dbType} statuses...` });
+
+  try {
+    await reply.update(loadingTs, await loadStatusBoard(board));
   } catch (error) {
     let errorMessage = `❌ Failed to fetch ${requestType} requests`;
     
@@ -377,300 +1394,2166 @@ async function handleStatusCommand(client, channel, threadTs, requestType, showC
     
     console.error(`Error fetching ${requestType} status:`, error);
     
-    await client.chat.update({
-      channel: channel,
-      ts: loadingMessage.ts,
-      text: errorMessage,
-      unfurl_links: false
-    });
+    await reply.update(loadingTs, { text: errorMessage });
   }
 }
 
-// Update command handler
-async function handleUpdateCommand(client, channel, threadTs, requestType, featureQuery, newStatus) {
+// Status board menu: apply the change, then redraw the board in place with who changed what
+app.action('status_board_select', async ({ ack, body, action, respond, client }) => {
+  await ack();
+  
+  const [, pageId, ...boardParts] = action.block_id.split(':');
+  const board = decodeBoard(boardParts.join(':'));
+  const requestType = board.requestType;
+  const newStatus = action.selected_option.value;
+  
   try {
-    console.log(`Updating ${requestType} request: "${featureQuery}" to status: "${newStatus}"`);
-    
-    // Get the appropriate database ID
-    const dbId = databaseIds[requestType];
+    // The board may be shared in a channel, so only the person denied sees why
+    const denial = await checkStatusPermission(client, requestType, body.user.id);
     
-    if (!dbId) {
-      throw new Error(`No database ID configured for ${requestType} requests`);
-    }
-    
-    // Validate status based on request type
-    const statusOptions = validStatuses[requestType];
-    const exactStatusMatch = statusOptions.find(status => 
-      status.toLowerCase() === newStatus.toLowerCase()
-    );
-    
-    if (!exactStatusMatch) {
-      await client.chat.postMessage({
-        channel: channel,
-        thread_ts: threadTs,
-        text: `❌ Invalid status: "${newStatus}". Valid statuses for ${requestType} are: ${statusOptions.join(', ')}`,
-        unfurl_links: false
-      });
+    if (denial) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: denial });
       return;
     }
     
-    // Find the item
-    const response = await notion.databases.query({
-      database_id: dbId,
-      filter: {
-        property: 'Title',
-        rich_text: { contains: featureQuery }
-      },
-      page_size: 5
-    });
+    const page = await requests.get(pageId);
+    const { previousStatus, changed } = await setRequestStatus(page, newStatus, await getUserName(client, body.user.id));
     
-    if (response.results.length === 0) {
-      await client.chat.postMessage({
-        channel: channel,
-        thread_ts: threadTs,
-        text: `❌ No ${requestType} request found matching "${featureQuery}"`,
-        unfurl_links: false
+    if (!changed) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `ℹ️ *${escapeMrkdwn(getPageTitle(page))}* is already "${newStatus}"`
       });
       return;
     }
+    console.log(`${body.user.id} changed "${getPageTitle(page)}" from "${previousStatus}" to "${newStatus}"`);
     
-    if (response.results.length > 1) {
-      let multipleMatches = `Found multiple matches for "${featureQuery}". Please be more specific:\n\n`;
-      response.results.forEach(page => {
-        const title = page.properties.Title.title[0]?.text.content || "Untitled";
-        multipleMatches += `• *${title}*\n`;
-      });
-      
-      await client.chat.postMessage({
-        channel: channel,
-        thread_ts: threadTs,
-        text: multipleMatches,
-        unfurl_links: false
-      });
-      return;
-    }
+    const note = `✅ <@${body.user.id}> changed *${escapeMrkdwn(getPageTitle(page))}* from "${previousStatus}" to "${newStatus}"`;
     
-    // Update the item
-    const item = response.results[0];
-    const currentStatus = item.properties.Status.select?.name || "Unknown";
-    const title = item.properties.Title.title[0]?.text.content || "Untitled";
-    
-    await notion.pages.update({
-      page_id: item.id,
-      properties: {
-        Status: {
-          select: { name: exactStatusMatch }
-        }
-      }
+    await respond({
+      replace_original: true,
+      ...await loadStatusBoard(board, note)
     });
-    
-    await client.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: `✅ Updated status of "${title}" from "${currentStatus}" to "${exactStatusMatch}"`,
-      unfurl_links: false
+  } catch (error) {
+    console.error(`Error updating ${requestType} status from board:`, error);
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `❌ Failed to update ${requestType} request status: ${error.message}`
+    });
+  }
+});
+
+// "Show more": replace the board with the next page of results
+app.action('status_board_more', async ({ ack, action, respond }) => {
+  await ack();
+  
+  const board = decodeBoard(action.value);
+  
+  try {
+    await respond({
+      replace_original: true,
+      ...await loadStatusBoard(board, null, true)
     });
   } catch (error) {
-    let errorMessage = `❌ Failed to update ${requestType} request status`;
+    console.error(`Error fetching more ${board.requestType} requests:`, error);
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `❌ Failed to fetch ${board.requestType} requests: ${error.message}`
+    });
+  }
+});
+
+// Find requests whose title contains a query; an exact title match wins over longer titles
+// that merely contain it, however many of those there are
+async function findRequests(requestType, query) {
+  const dbId = getDatabaseId(getTypeConfig(requestType));
+  
+  if (!dbId) {
+    throw new Error(`No database ID configured for ${requestType} requests`);
+  }
+  
+  const exactTitles = await requests.findByTitle(dbId, query, { exact: true });
+  
+  if (exactTitles.length > 0) {
+    return exactTitles;
+  }
+  
+  const pages = await requests.findByTitle(dbId, query);
+  
+  // The equals filter is case-sensitive, so a title typed in another case is still exact here
+  const exactMatches = pages.filter(page =>
+    getPageTitle(page).toLowerCase() === query.toLowerCase()
+  );
+  return exactMatches.length === 1 ? exactMatches : pages;
+}
+
+// What a pending change will do, for the disambiguation question
+function describeChange(change) {
+  switch (change.kind) {
+    case 'assign':
+      return `be assigned to <@${change.value}>`;
+    case 'priority':
+      return `get priority *${change.value}*`;
+    case 'tags':
+      return `be tagged *${change.value.map(tag => `#${tag}`).join(' ')}*`;
+    default:
+      return `move to *${change.value}*`;
+  }
+}
+
+// Ask which request an ambiguous command meant, one button per candidate. The change to make
+// ({ kind: 'status' | 'assign', value }) travels in the button values.
+function buildRequestChoices(query, requestType, change, pages) {
+  let multipleMatches = `Found multiple matches for "${query}". Which one should ${describeChange(change).replace(/\*/g, '')}?\n\n`;
+  pages.forEach(page => {
+    multipleMatches += `• *${getPageTitle(page)}*\n`;
+  });
+  
+  // Button labels are capped at 75 characters
+  const buttons = pages.map((page, index) => {
+    const title = getPageTitle(page);
+    return {
+      type: 'button',
+      action_id: `update_choice:${index}`,
+      text: { type: 'plain_text', text: title.length > 75 ? `${title.substring(0, 74)}…` : title },
+      value: JSON.stringify({ pageId: page.id, requestType, ...change })
+    };
+  });
+  
+  buttons.push({
+    type: 'button',
+    action_id: 'update_choice:cancel',
+    text: { type: 'plain_text', text: 'Cancel' },
+    value: 'cancel'
+  });
+  
+  return {
+    text: multipleMatches,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `Found multiple matches for "${escapeMrkdwn(query)}". Which one should ${describeChange(change)}?` }
+      },
+      { type: 'actions', elements: buttons }
+    ]
+  };
+}
+
+// Apply a status change, assignment, priority or tags to a request, returning the confirmation text
+async function applyRequestChange(client, page, change, actorId) {
+  const title = getPageTitle(page);
+  
+  if (change.kind === 'assign') {
+    await assignRequest(client, page, change.value);
+    return `✅ Assigned "${title}" to <@${change.value}>`;
+  }
+  
+  if (change.kind === 'priority') {
+    const properties = await classifyRequest(page, { priority: change.value });
+    return `✅ Set priority of "${title}" to "${properties[PRIORITY_PROPERTY].select.name}"`;
+  }
+  
+  if (change.kind === 'tags') {
+    const properties = await classifyRequest(page, { tags: change.value });
+    return `✅ Tagged "${title}": ${properties[TAGS_PROPERTY].multi_select.map(tag => `#${tag.name}`).join(' ')}`;
+  }
+  
+  const actor = actorId ? await getUserName(client, actorId) : 'Unknown User';
+  const { previousStatus, changed } = await setRequestStatus(page, change.value, actor);
+  
+  if (!changed) {
+    return `ℹ️ "${title}" is already "${change.value}"`;
+  }
+  return `✅ Updated status of "${title}" from "${previousStatus}" to "${change.value}"`;
+}
+
+// Disambiguation buttons: finish the pending change and replace the question with the result
+app.action(/^update_choice:/, async ({ ack, body, action, respond, client }) => {
+  await ack();
+  
+  if (action.value === 'cancel') {
+    await respond({ replace_original: true, text: 'Update cancelled.' });
+    return;
+  }
+  
+  const { pageId, requestType, kind, value } = JSON.parse(action.value);
+  
+  try {
+    // Whoever clicks makes the change, so they need the permission too
+    const denial = kind === 'status' ? await checkStatusPermission(client, requestType, body.user.id) : null;
+    
+    if (denial) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: denial });
+      return;
+    }
+    
+    const page = await requests.get(pageId);
+    const confirmation = await applyRequestChange(client, page, { kind, value }, body.user.id);
+    
+    await respond({
+      replace_original: true,
+      text: `${confirmation} (chosen by <@${body.user.id}>)`
+    });
+  } catch (error) {
+    console.error(`Error updating ${requestType} request from choice:`, error);
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `❌ Failed to update ${requestType} request: ${error.message}`
+    });
+  }
+});
+
+// Update command handler
+async function handleUpdateCommand(client, reply, requestType, featureQuery, newStatus, userId) {
+  try {
+    const typeConfig = getTypeConfig(requestType);
+    console.log(`Updating ${requestType} request: "${featureQuery}" to status: "${newStatus}"`);
+    
+    // Validate status based on request type
+    const statusOptions = typeConfig.statuses;
+    const exactStatusMatch = statusOptions.find(status => 
+      status.toLowerCase() === newStatus.toLowerCase()
+    );
+    
+    if (!exactStatusMatch) {
+      await reply.post({ text: `❌ Invalid status: "${newStatus}". Valid statuses for ${requestType} are: ${statusOptions.join(', ')}` });
+      return;
+    }
+    
+    const denial = await checkStatusPermission(client, requestType, userId);
+    
+    if (denial) {
+      await reply.postPrivately(userId, { text: denial });
+      return;
+    }
+    
+    // Find the item
+    const matches = await findRequests(requestType, featureQuery);
+    const change = { kind: 'status', value: exactStatusMatch };
+    
+    if (matches.length === 0) {
+      await reply.post({ text: `❌ No ${requestType} request found matching "${featureQuery}"` });
+      return;
+    }
+    
+    if (matches.length > 1) {
+      await reply.post(buildRequestChoices(featureQuery, requestType, change, matches));
+      return;
+    }
+    
+    // Update the item
+    await reply.post({ text: await applyRequestChange(client, matches[0], change, userId) });
+  } catch (error) {
+    let errorMessage = `❌ Failed to update ${requestType} request status`;
+    
+    if (error.message.includes('timed out')) {
+      errorMessage += ": Request timed out. The Notion API might be experiencing delays.";
+    } else if (error.code === 'notFound') {
+      errorMessage += ": Item or database not found. Please check your request.";
+    } else {
+      errorMessage += `: ${error.message}`;
+    }
+    
+    console.error(`Error updating ${requestType} status:`, error);
+    
+    await reply.post({ text: errorMessage });
+  }
+}
+
+// How long Slack → Notion user matches are remembered, and how long the Notion user list is reused
+const NOTION_USER_TTL_MS = 24 * 60 * 60 * 1000;
+const NOTION_USER_LIST_TTL_MS = 10 * 60 * 1000;
+
+// Fetched user lists per workspace: { users, fetchedAt }
+const notionUsersByWorkspace = new Map();
+
+// Notion workspace members keyed by lowercase email (needs the "read user information including
+// email addresses" capability)
+async function getNotionUsersByEmail() {
+  const cacheKey = workspaceKey('notionUsers');
+  const cached = notionUsersByWorkspace.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < NOTION_USER_LIST_TTL_MS) {
+    return cached.users;
+  }
+  
+  const users = new Map();
+  let cursor;
+  
+  do {
+    const response = await requests.listPeople({ cursor: cursor });
+    for (const user of response.results) {
+      if (user.type === 'person' && user.person?.email) {
+        users.set(user.person.email.toLowerCase(), user.id);
+      }
+    }
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  
+  notionUsersByWorkspace.set(cacheKey, { users, fetchedAt: Date.now() });
+  return users;
+}
+
+// Match a Slack user to a Notion user by email (needs the users:read.email scope); null when
+// there is no match or either side can't be read
+async function findNotionUserForSlackUser(client, slackUserId) {
+  const cacheKey = workspaceKey(`notionUser:${slackUserId}`);
+  
+  try {
+    const cached = await store.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+  } catch (error) {
+    console.error('Failed to read cached Notion user:', error.message);
+  }
+  
+  try {
+    const info = await client.users.info({ user: slackUserId });
+    const email = info.user?.profile?.email;
+    
+    if (!email) {
+      console.log(`Slack user ${slackUserId} has no visible email, check the users:read.email scope`);
+      return null;
+    }
+    
+    const notionUserId = (await getNotionUsersByEmail()).get(email.toLowerCase()) || null;
+    
+    if (notionUserId) {
+      await store.set(cacheKey, notionUserId, NOTION_USER_TTL_MS).catch(error => {
+        console.error('Failed to cache Notion user:', error.message);
+      });
+    }
+    return notionUserId;
+  } catch (error) {
+    console.error(`Failed to match Slack user ${slackUserId} to a Notion user:`, error.message);
+    return null;
+  }
+}
+
+// Set a request's Owner to the Notion user behind a Slack user
+async function assignRequest(client, page, slackUserId) {
+  const schema = await getDatabaseProperties(page.parent.database_id);
+  
+  if (schema[OWNER_PROPERTY]?.type !== 'people') {
+    throw new Error(`Assigning needs an "${OWNER_PROPERTY}" people property in the Notion database`);
+  }
+  
+  const notionUserId = await findNotionUserForSlackUser(client, slackUserId);
+  
+  if (!notionUserId) {
+    throw new Error(`No Notion user has the same email as <@${slackUserId}>`);
+  }
+  
+  await withNotionTimeout(requests.update(page.id, {
+    [OWNER_PROPERTY]: { people: [{ id: notionUserId }] }
+  }));
+}
+
+// Set a request's priority or add tags, checked against the database's options. Tags are added
+// to the ones the request already has.
+async function classifyRequest(page, values) {
+  const { properties, problems } = await buildClassificationProperties(page.parent.database_id, values);
+  
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  
+  if (properties[TAGS_PROPERTY]) {
+    const existing = (page.properties[TAGS_PROPERTY]?.multi_select || []).map(tag => tag.name);
+    const added = properties[TAGS_PROPERTY].multi_select.map(tag => tag.name);
+    properties[TAGS_PROPERTY].multi_select = [...new Set([...existing, ...added])].map(name => ({ name }));
+  }
+  
+  await withNotionTimeout(requests.update(page.id, properties));
+  
+  return properties;
+}
+
+// Assign, priority and tag command handler
+async function handleChangeCommand(client, reply, requestType, featureQuery, change) {
+  try {
+    console.log(`Changing ${requestType} request: "${featureQuery}"`, change);
+    
+    const matches = await findRequests(requestType, featureQuery);
+    
+    if (matches.length === 0) {
+      await reply.post({ text: `❌ No ${requestType} request found matching "${featureQuery}"` });
+      return;
+    }
+    
+    if (matches.length > 1) {
+      await reply.post(buildRequestChoices(featureQuery, requestType, change, matches));
+      return;
+    }
+    
+    await reply.post({ text: await applyRequestChange(client, matches[0], change) });
+  } catch (error) {
+    console.error(`Error changing ${requestType} request:`, error);
+    await reply.post({ text: `❌ Failed to update ${requestType} request: ${error.message}` });
+  }
+}
+
+// Slack permalink-style URL for a thread, stored on every Notion page
+function getThreadUrl(channel, threadTs) {
+  return `https://slack.com/archives/${channel}/p${threadTs.replace('.', '')}`;
+}
+
+// Derive a request title from the thread's original message
+function deriveRequestTitle(text, requestType) {
+  const typeConfig = getTypeConfig(requestType);
+  text = text || '';
+  
+  // Format request title
+  let requestTitle = text.split('\n')[0].substring(0, 80);
+
+  // Clean up any Slack user IDs for ALL request types
+  requestTitle = requestTitle.replace(/<@[A-Z0-9]+>/g, '').trim();
+
+  // Types can derive a title from the message, e.g. "add X to bd" -> "Add X to BD"
+  const titleRule = typeConfig.titleRules.find(rule => rule.pattern.test(text));
+
+  if (titleRule) {
+    const match = text.match(titleRule.pattern);
+    requestTitle = titleRule.title.replace(/\$(\d)/g, (_, group) => match[group] || '');
+  } else if (!requestTitle.toLowerCase().includes(requestType)) {
+    // Generic title if no specific pattern matched
+    requestTitle = `${typeConfig.label} request: ${requestTitle}`;
+  }
+  
+  return requestTitle;
+}
+
+// The bot's own user ID, looked up once per Slack client
+const botUserIds = new WeakMap();
+
+async function getBotUserId(client) {
+  if (!botUserIds.has(client)) {
+    const auth = await client.auth.test();
+    botUserIds.set(client, auth.user_id);
+  }
+  return botUserIds.get(client);
+}
+
+// Resolve everyone and every channel a set of messages mentions, plus their authors
+async function resolveMentionNames(client, messages) {
+  const { users, channels } = collectMentionIds(messages.map(msg => msg.text));
+  const names = { users: {}, channels: {} };
+  
+  const userIds = new Set([...users, ...messages.map(msg => msg.user).filter(Boolean)]);
+  for (const userId of userIds) {
+    names.users[userId] = await getUserName(client, userId);
+  }
+  
+  for (const channelId of channels) {
+    try {
+      const channelInfo = await client.conversations.info({ channel: channelId });
+      names.channels[channelId] = channelInfo.channel.name;
+    } catch (error) {
+      names.channels[channelId] = channelId;
+    }
+  }
+  
+  return names;
+}
+
+// Format a Slack timestamp the way page footers do
+function formatSlackTs(ts) {
+  return new Date(parseFloat(ts) * 1000).toLocaleString();
+}
+
+// Images up to this size are uploaded to Notion, anything bigger is linked (default 5 MB, Notion's free plan limit)
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.HELPERBOT_MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Human readable file size
+function formatBytes(bytes) {
+  if (!bytes) return 'unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Bookmark block with a plain caption
+function buildBookmarkBlock(url, caption) {
+  return {
+    object: "block",
+    type: "bookmark",
+    bookmark: {
+      url: url,
+      caption: caption ? [{ type: "text", text: { content: caption.substring(0, 2000) } }] : []
+    }
+  };
+}
+
+// Notion block for a file shared in Slack: images are uploaded when possible, everything
+// else (and any image that can't be uploaded) links back to the file in Slack
+async function buildFileBlock(client, file) {
+  const caption = `${file.name || file.title || 'File'} (${formatBytes(file.size)})`;
+  const isImage = (file.mimetype || '').startsWith('image/');
+  
+  if (isImage && file.url_private_download && file.size <= MAX_UPLOAD_BYTES &&
+      process.env.HELPERBOT_UPLOAD_FILES !== 'false' && !usesFileBackend) {
+    try {
+      const data = await downloadSlackFile(file.url_private_download, client.token);
+      const uploadId = await uploadFileToNotion(getNotionToken(), {
+        filename: file.name || 'image',
+        contentType: file.mimetype,
+        data: data
+      });
+      
+      return {
+        object: "block",
+        type: "image",
+        image: {
+          type: "file_upload",
+          file_upload: { id: uploadId },
+          caption: [{ type: "text", text: { content: caption } }]
+        }
+      };
+    } catch (error) {
+      console.error(`Failed to upload ${file.name} to Notion, linking it instead:`, error.message);
+    }
+  }
+  
+  return buildBookmarkBlock(file.permalink, caption);
+}
+
+// Blocks for a message's shared files and link unfurls (screenshots, PDFs, Loom links...)
+async function buildAttachmentBlocks(client, message) {
+  const blocks = [];
+  
+  for (const file of message.files || []) {
+    // Deleted files and ones hidden by the workspace's plan have nothing to show
+    if (file.mode === 'tombstone' || file.mode === 'hidden_by_limit' || !file.permalink) continue;
+    blocks.push(await buildFileBlock(client, file));
+  }
+  
+  for (const attachment of message.attachments || []) {
+    const url = attachment.original_url || attachment.from_url || attachment.title_link;
+    
+    if (url) {
+      blocks.push(buildBookmarkBlock(url, attachment.title || attachment.fallback));
+    } else if (attachment.image_url) {
+      blocks.push({
+        object: "block",
+        type: "image",
+        image: { type: "external", external: { url: attachment.image_url } }
+      });
+    }
+  }
+  
+  return blocks;
+}
+
+// Plain text for a message including its files, for previews
+function describeMessage(message) {
+  return [message.text]
+    .concat((message.files || []).map(file => `[${file.name || file.title || 'file'}]`))
+    .concat((message.attachments || []).map(attachment => `[${attachment.original_url || attachment.title || 'attachment'}]`))
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Fetch a thread's messages and a plain text description for previews. Nothing is downloaded
+// or uploaded here; buildThreadBlocks does that once the thread is actually being saved.
+async function loadThreadDraft(client, channel, threadTs) {
+  // Get thread info
+  const replies = await client.conversations.replies({
+    channel: channel,
+    ts: threadTs
+  });
+  
+  if (!replies.messages || replies.messages.length === 0) {
+    throw new Error('No messages found in thread');
+  }
+  
+  // Leave out the bot's own messages and commands addressed to it
+  const botUserId = await getBotUserId(client);
+  const originalMessage = replies.messages[0];
+  const threadMessages = replies.messages.slice(1).filter(msg =>
+    (msg.text || msg.files || msg.attachments) && !msg.bot_id && !(msg.text || '').includes(`<@${botUserId}>`)
+  );
+  
+  const names = await resolveMentionNames(client, [originalMessage, ...threadMessages]);
+  
+  // Build description from thread
+  let description = `*Original request by ${names.users[originalMessage.user]}:*\n${describeMessage(originalMessage)}\n\n`;
+  
+  if (threadMessages.length > 0) {
+    description += "*Additional context from thread:*\n";
+    for (const msg of threadMessages) {
+      description += `- ${names.users[msg.user]}: ${describeMessage(msg)}\n`;
+    }
+  }
+  
+  return {
+    originalMessage: originalMessage,
+    threadMessages: threadMessages,
+    names: names,
+    description: description
+  };
+}
+
+// Notion blocks for a loaded thread, uploading its images
+async function buildThreadBlocks(client, draft) {
+  const { originalMessage, threadMessages, names } = draft;
+  
+  const blocks = convertMessage({
+    prefix: 'Original request by ',
+    author: names.users[originalMessage.user],
+    timestamp: formatSlackTs(originalMessage.ts),
+    text: originalMessage.text,
+    names: names
+  });
+  blocks.push(...await buildAttachmentBlocks(client, originalMessage));
+  
+  if (threadMessages.length > 0) {
+    blocks.push({
+      object: "block",
+      type: "heading_3",
+      heading_3: {
+        rich_text: [{ type: "text", text: { content: "Additional context from thread" } }]
+      }
+    });
+    
+    for (const msg of threadMessages) {
+      blocks.push(...convertMessage({
+        author: names.users[msg.user],
+        timestamp: formatSlackTs(msg.ts),
+        text: msg.text,
+        names: names
+      }));
+      blocks.push(...await buildAttachmentBlocks(client, msg));
+    }
+  }
+  
+  return blocks;
+}
+
+// Page blocks for a saved thread: the converted messages and where it was requested
+function buildDescriptionBlocks(blocks, channel, channelName, threadTs) {
+  return [
+    ...blocks,
+    {
+      object: "block",
+      type: "paragraph",
+      paragraph: {
+        rich_text: [
+          {
+            type: "text",
+            text: {
+              content: `Requested in #${channelName || channel} on ${new Date(parseInt(threadTs) * 1000).toLocaleString()}`
+            }
+          }
+        ]
+      }
+    }
+  ];
+}
+
+// Notion accepts at most 100 blocks per request
+const NOTION_BLOCK_BATCH = 100;
+
+// Append blocks to a page in batches, optionally after a given block; returns the created blocks
+async function appendBlocks(blockId, children, after) {
+  const created = [];
+  
+  for (let start = 0; start < children.length; start += NOTION_BLOCK_BATCH) {
+    const added = await requests.appendContent(blockId, children.slice(start, start + NOTION_BLOCK_BATCH), { after: after });
+    created.push(...added);
+    after = after ? created[created.length - 1].id : undefined;
+  }
+  
+  return created;
+}
+
+// Create the Notion page for a request, retrying transient failures
+async function createRequestPage({ client, requestType, title, status, blocks, channel, channelName, threadTs, requesterId, extraProperties = {} }) {
+  // Select the database ID based on request type
+  const dbId = getDatabaseId(getTypeConfig(requestType));
+  console.log(`Using database ID: ${dbId} for ${requestType} request`);
+  
+  if (!dbId) {
+    throw new Error(`No database ID configured for ${requestType} requests`);
+  }
+  
+  const properties = {
+    Title: {
+      title: [{ text: { content: title } }]
+    },
+    Status: {
+      select: { name: status }
+    },
+    "Slack URL": {
+      url: getThreadUrl(channel, threadTs)
+    },
+    "Date Created": {
+      date: { 
+        start: new Date().toISOString() 
+      }
+    },
+    ...extraProperties
+  };
+  
+  // Optional properties are only set when the database has them
+  const schema = await getDatabaseProperties(dbId);
+  
+  if (requesterId && schema[REQUESTER_ID_PROPERTY]) {
+    properties[REQUESTER_ID_PROPERTY] = {
+      rich_text: [{ text: { content: requesterId } }]
+    };
+  }
+  
+  if (requesterId && schema[REQUESTER_PROPERTY]?.type === 'people') {
+    const notionUserId = await findNotionUserForSlackUser(client, requesterId);
+    if (notionUserId) {
+      properties[REQUESTER_PROPERTY] = { people: [{ id: notionUserId }] };
+    } else {
+      console.log(`No Notion user matches Slack user ${requesterId}, leaving ${REQUESTER_PROPERTY} empty`);
+    }
+  }
+  
+  // Long threads don't fit in one request, the rest is appended once the page exists
+  const children = buildDescriptionBlocks(blocks, channel, channelName, threadTs);
+  
+  // Create Notion page with retry logic
+  const maxRetries = 3;
+  let attempt = 0;
+  let page;
+  
+  while (!page) {
+    try {
+      attempt++;
+      page = await requests.create(dbId, properties, children.slice(0, NOTION_BLOCK_BATCH));
+      console.log(`Successfully created ${requestType} request in Notion`);
+    } catch (error) {
+      if (attempt >= maxRetries) {
+        throw error;
+      }
+      console.error(`Create attempt ${attempt} failed: ${error.message}. Retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+    }
+  }
+  
+  await appendBlocks(page.id, children.slice(NOTION_BLOCK_BATCH));
+  return page;
+}
+
+// Find the request already saved for a thread, in any configured database
+async function findRequestByThreadUrl(threadUrl) {
+  for (const typeConfig of requestTypes.types) {
+    if (!getDatabaseId(typeConfig)) continue;
+    
+    const page = await requests.findByUrl(getDatabaseId(typeConfig), threadUrl);
+    
+    if (page) {
+      return { page: page, requestType: typeConfig.key };
+    }
+  }
+  
+  return null;
+}
+
+// Titles at least this similar (0-1) are treated as the same request
+const SIMILAR_TITLE_THRESHOLD = 0.6;
+
+// Words that say nothing about what a request is about
+const TITLE_STOP_WORDS = new Set(['a', 'an', 'the', 'to', 'for', 'of', 'and', 'or', 'in', 'on', 'with', 'we', 'our', 'can', 'should', 'please', 'add', 'request']);
+
+// Significant words of a title, ignoring generated "Feature request:" prefixes
+function getTitleWords(title) {
+  const words = title
+    .replace(/^[\w ]+ request:\s*/i, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !TITLE_STOP_WORDS.has(word));
+  return new Set(words);
+}
+
+// Dice coefficient of two titles' significant words
+function getTitleSimilarity(a, b) {
+  const wordsA = getTitleWords(a);
+  const wordsB = getTitleWords(b);
+  
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+// Find the most similar existing title in a request database
+async function findSimilarRequest(requestType, title) {
+  const dbId = getDatabaseId(getTypeConfig(requestType));
+  
+  // Notion can't rank by similarity, so fetch pages sharing any of the longest words and score them here
+  const words = [...getTitleWords(title)].sort((a, b) => b.length - a.length).slice(0, 5);
+  
+  if (!dbId || words.length === 0) {
+    return null;
+  }
+  
+  const response = await requests.list(dbId, {
+    filter: {
+      or: words.map(word => ({
+        property: 'Title',
+        rich_text: { contains: word }
+      }))
+    },
+    pageSize: 25
+  });
+  
+  let best = null;
+  for (const page of response.results) {
+    const similarity = getTitleSimilarity(title, getPageTitle(page));
+    if (similarity >= SIMILAR_TITLE_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { page, similarity };
+    }
+  }
+  
+  return best && best.page;
+}
+
+// Recently edited pages per database whose content is searched, on top of title matches
+const SEARCH_SCAN_SIZE = Number(process.env.HELPERBOT_SEARCH_SCAN) || 20;
+
+// Search results shown, and pages read at once while searching
+const SEARCH_RESULT_LIMIT = 10;
+const SEARCH_CONCURRENCY = 4;
+
+// Run an async function over items, a few at a time
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Plain text of a block, for any block type that holds rich text
+function getBlockText(block) {
+  return (block[block.type]?.rich_text || []).map(text => text.plain_text).join('');
+}
+
+// Text around the first search word in a piece of text, with the words in bold
+function buildSnippet(text, words) {
+  const lowerText = text.toLowerCase();
+  const position = Math.min(...words.map(word => lowerText.indexOf(word)).filter(index => index >= 0));
+  const start = Math.max(0, position - 60);
+  const end = Math.min(text.length, position + 100);
+  
+  let snippet = escapeMrkdwn(text.substring(start, end).replace(/\s+/g, ' '));
+  for (const word of words) {
+    snippet = snippet.replace(new RegExp(`(${escapeRegExp(word)})`, 'gi'), '*$1*');
+  }
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+// Score one page against the search words: title hits weigh more than content hits, and a
+// title containing every word ranks first
+async function scoreSearchCandidate({ page, requestType }, words) {
+  const title = getPageTitle(page);
+  const lowerTitle = title.toLowerCase();
+  const titleHits = words.filter(word => lowerTitle.includes(word)).length;
+  
+  let bestBlock = null;
+  let contentHits = 0;
+  
+  try {
+    const response = await withNotionTimeout(requests.listContent(page.id));
+    const texts = response.results.map(getBlockText).filter(Boolean);
+    const allText = texts.join('\n').toLowerCase();
+    contentHits = words.filter(word => allText.includes(word)).length;
+    
+    // The block matching the most words makes the best snippet
+    let bestHits = 0;
+    for (const text of texts) {
+      const hits = words.filter(word => text.toLowerCase().includes(word)).length;
+      if (hits > bestHits) {
+        bestHits = hits;
+        bestBlock = text;
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to read content of page ${page.id}:`, error.message);
+  }
+  
+  return {
+    page: page,
+    requestType: requestType,
+    score: titleHits * 3 + contentHits + (titleHits === words.length ? 2 : 0),
+    snippet: bestBlock ? buildSnippet(bestBlock, words) : (titleHits > 0 ? '_Matched in the title_' : null)
+  };
+}
+
+// Search every request database. Notion only filters on properties, so pages whose title has
+// one of the words are combined with the most recently edited pages, and their content is
+// read and ranked here.
+async function searchRequests(query) {
+  const titleWords = [...getTitleWords(query)];
+  const words = (titleWords.length > 0 ? titleWords : query.toLowerCase().split(/\s+/).filter(Boolean)).slice(0, 5);
+  
+  if (words.length === 0) {
+    return [];
+  }
+  
+  const candidates = new Map();
+  
+  for (const typeConfig of requestTypes.types) {
+    if (!getDatabaseId(typeConfig)) continue;
+    
+    const [titleMatches, recent] = await Promise.all([
+      withNotionTimeout(requests.list(getDatabaseId(typeConfig), {
+        filter: { or: words.map(word => ({ property: 'Title', rich_text: { contains: word } })) },
+        pageSize: 25
+      })),
+      withNotionTimeout(requests.list(getDatabaseId(typeConfig), {
+        sorts: [{ timestamp: "last_edited_time", direction: "descending" }],
+        pageSize: SEARCH_SCAN_SIZE
+      }))
+    ]);
+    
+    for (const page of [...titleMatches.results, ...recent.results]) {
+      candidates.set(page.id, { page, requestType: typeConfig.key });
+    }
+  }
+  
+  const scored = await mapWithConcurrency([...candidates.values()], SEARCH_CONCURRENCY, candidate =>
+    scoreSearchCandidate(candidate, words)
+  );
+  
+  return scored
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.page.last_edited_time) - new Date(a.page.last_edited_time));
+}
+
+// Search command handler
+async function handleSearchCommand(reply, query) {
+  try {
+    console.log(`Searching requests for: "${query}"`);
+    const results = await searchRequests(query);
+    
+    if (results.length === 0) {
+      await reply.post({ text: `🔍 No requests found matching "${query}"` });
+      return;
+    }
+    
+    const shown = results.slice(0, SEARCH_RESULT_LIMIT);
+    const heading = `🔍 ${results.length} request${results.length === 1 ? '' : 's'} matching "${query}"${results.length > shown.length ? `, showing the top ${shown.length}` : ''}`;
+    const lines = shown.map(({ page, requestType, snippet }) => {
+      const slackUrl = page.properties["Slack URL"]?.url;
+      const links = [`<${page.url}|Notion>`];
+      if (slackUrl) {
+        links.push(`<${slackUrl}|Slack thread>`);
+      }
+      
+      const summary = `*${escapeMrkdwn(getPageTitle(page))}*\n${getTypeConfig(requestType).label} · ${getPageStatus(page)} · ${links.join(' · ')}`;
+      return snippet ? `${summary}\n> ${snippet}` : summary;
+    });
+    
+    await reply.post({
+      text: `${heading}\n\n${lines.join('\n\n')}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: escapeMrkdwn(heading) } },
+        ...lines.map(line => ({ type: 'section', text: { type: 'mrkdwn', text: line } }))
+      ]
+    });
+  } catch (error) {
+    console.error('Error searching requests:', error);
+    
+    const reason = error.message.includes('timed out')
+      ? 'Request timed out. The Notion API might be experiencing delays.'
+      : error.message;
+    await reply.post({ text: `❌ Failed to search requests: ${reason}` });
+  }
+}
+
+// Lines of description shown by "show"
+const DETAIL_DESCRIPTION_LINES = 5;
+
+// A Notion timestamp as a Slack date, shown in each reader's own time zone
+function formatSlackDate(iso) {
+  const date = new Date(iso);
+  return `<!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} at {time}|${date.toISOString()}>`;
+}
+
+// Who asked for a request: the Requester people property, the stored Slack ID, or the author
+// named in the page's first block ("Original request by Ann · ...")
+function getRequester(page, contentBlocks) {
+  const names = getPeopleNames(page, REQUESTER_PROPERTY);
+  if (names) return names;
+  
+  const slackId = page.properties[REQUESTER_ID_PROPERTY]?.rich_text?.[0]?.plain_text;
+  if (slackId) return `<@${slackId}>`;
+  
+  const firstText = contentBlocks.length > 0 ? getBlockText(contentBlocks[0]) : '';
+  const match = firstText.match(/^Original request by ([^:·\n]+)/);
+  return match ? match[1].trim() : 'Unknown';
+}
+
+// First lines of a request's description, leaving out the author line that starts each message
+function getDescriptionLines(contentBlocks, limit) {
+  const lines = [];
+  
+  for (const block of contentBlocks) {
+    if (block.type === 'heading_3') break;
+    
+    let text = getBlockText(block);
+    if (lines.length === 0 && /^Original request by /.test(text)) {
+      text = text.split('\n').slice(1).join('\n');
+    }
+    
+    lines.push(...text.split('\n').map(line => line.trim()).filter(Boolean));
+    if (lines.length >= limit) break;
+  }
+  
+  return lines.slice(0, limit);
+}
+
+// Render one request in full for Slack
+function buildRequestDetail(page, requestType, contentBlocks) {
+  const typeConfig = getTypeConfig(requestType);
+  const title = getPageTitle(page);
+  const slackUrl = page.properties["Slack URL"]?.url;
+  const created = page.properties["Date Created"]?.date?.start || page.created_time;
+  const description = getDescriptionLines(contentBlocks, DETAIL_DESCRIPTION_LINES);
+  
+  const fields = [
+    `*Type:*\n${typeConfig.label}`,
+    `*Status:*\n${getPageStatus(page)}`,
+    `*Requester:*\n${getRequester(page, contentBlocks)}`,
+    `*Owner:*\n${getPeopleNames(page, OWNER_PROPERTY) || 'Unassigned'}`,
+    `*Created:*\n${formatSlackDate(created)}`,
+    `*Last edited:*\n${formatSlackDate(page.last_edited_time)}`
+  ];
+  
+  const links = [`<${page.url}|Open in Notion>`];
+  if (slackUrl) {
+    links.push(`<${slackUrl}|Original Slack thread>`);
+  }
+  
+  const descriptionText = description.length > 0
+    ? description.map(line => `> ${escapeMrkdwn(line)}`).join('\n')
+    : '_No description_';
+  
+  return {
+    text: `*${title}*\n${fields.map(field => field.replace(':*\n', ':* ')).join('\n')}\n${links.join(' · ')}\n\n${descriptionText}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title.substring(0, 150) } },
+      { type: 'section', fields: fields.map(field => ({ type: 'mrkdwn', text: field })) },
+      { type: 'section', text: { type: 'mrkdwn', text: descriptionText.substring(0, 3000) } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: links.join(' · ') }] }
+    ]
+  };
+}
+
+// Show command handler
+async function handleShowCommand(reply, requestType, featureQuery) {
+  try {
+    console.log(`Showing ${requestType} request: "${featureQuery}"`);
+    const matches = await findRequests(requestType, featureQuery);
+    
+    if (matches.length === 0) {
+      await reply.post({ text: `❌ No ${requestType} request found matching "${featureQuery}"` });
+      return;
+    }
+    
+    if (matches.length > 1) {
+      const titles = matches.map(page => `• ${getPageTitle(page)}`).join('\n');
+      await reply.post({ text: `Found multiple matches for "${featureQuery}", which one did you mean?\n\n${titles}` });
+      return;
+    }
+    
+    const content = await withNotionTimeout(requests.listContent(matches[0].id, { pageSize: 20 }));
+    await reply.post(buildRequestDetail(matches[0], requestType, content.results));
+  } catch (error) {
+    console.error(`Error showing ${requestType} request:`, error);
+    await reply.post({ text: `❌ Failed to show ${requestType} request: ${error.message}` });
+  }
+}
+
+// Ask whether a thread that looks like an existing request should be merged into it
+function buildDuplicatePrompt(page, request) {
+  const title = getPageTitle(page);
+  const text = `🔁 This looks like it's already tracked as "${title}". Add this thread to it as extra context, or create a new request anyway?`;
+  
+  return {
+    text: text,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `🔁 This looks like it's already tracked as *<${page.url}|${escapeMrkdwn(title)}>*. Add this thread to it as extra context, or create a new request anyway?` }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            action_id: 'duplicate_append',
+            style: 'primary',
+            text: { type: 'plain_text', text: 'Add as context' },
+            value: JSON.stringify({ ...request, pageId: page.id })
+          },
+          {
+            type: 'button',
+            action_id: 'duplicate_create',
+            text: { type: 'plain_text', text: 'Create anyway' },
+            value: JSON.stringify(request)
+          }
+        ]
+      }
+    ]
+  };
+}
+
+// Claim a thread for saving so concurrent invocations can't both create a page
+async function claimThread(threadUrl) {
+  try {
+    return await store.setIfAbsent(workspaceKey(`thread:${threadUrl}`), Date.now(), DEDUP_TTL_MS);
+  } catch (error) {
+    console.error('De-duplication store unavailable:', error.message);
+    return true;
+  }
+}
+
+// Release a thread claim after a failed save so it can be retried
+async function releaseThread(threadUrl) {
+  try {
+    await store.delete(workspaceKey(`thread:${threadUrl}`));
+  } catch (error) {
+    console.error('De-duplication store unavailable:', error.message);
+  }
+}
+
+// Create command handler; the modal passes the title and status the user confirmed,
+// and "Create anyway" sets skipSimilarCheck
+async function handleCreateCommand(client, channel, threadTs, requestType, overrides = {}) {
+  const threadUrl = getThreadUrl(channel, threadTs);
+  let claimed = false;
+  
+  try {
+    const typeConfig = getTypeConfig(requestType);
+    console.log(`Creating ${requestType} request in thread ${threadTs}`);
+    
+    // Every way of saving ends up here, so the channel and status rules are checked here too
+    const denial = await checkCreatePermission(client, channel, requestType, overrides.actorId, overrides.status);
+    
+    if (denial) {
+      console.log(`Not saving thread ${threadTs}: ${denial}`);
+      if (overrides.actorId) {
+        await client.chat.postEphemeral({
+          channel: channel,
+          thread_ts: threadTs,
+          user: overrides.actorId,
+          text: denial
+        });
+      }
+      return;
+    }
+    
+    // One page per thread, no matter how often the bot is asked
+    const existing = await findRequestByThreadUrl(threadUrl);
+    
+    if (existing && overrides.confirmReaction) {
+      await addConfirmReaction(client, overrides.confirmReaction);
+      return;
+    }
+    
+    if (existing) {
+      await client.chat.postMessage({
+        channel: channel,
+        thread_ts: threadTs,
+        text: `ℹ️ This thread is already saved as <${existing.page.url}|${getPageTitle(existing.page)}> (${getTypeConfig(existing.requestType).label})`,
+        unfurl_links: false
+      });
+      return;
+    }
+    
+    const draft = await loadThreadDraft(client, channel, threadTs);
+    const hasClassification = Boolean(overrides.priority || (overrides.tags && overrides.tags.length > 0));
+    const originalText = draft.originalMessage.text || '';
+    const title = overrides.title || deriveRequestTitle(hasClassification ? stripCaptureTokens(originalText) : originalText, requestType);
+    
+    // Someone may have filed the same idea from another thread
+    if (!overrides.skipSimilarCheck) {
+      const similar = await findSimilarRequest(requestType, title);
+      
+      if (similar) {
+        await client.chat.postMessage({
+          channel: channel,
+          thread_ts: threadTs,
+          unfurl_links: false,
+          ...buildDuplicatePrompt(similar, {
+            channel: channel,
+            threadTs: threadTs,
+            requestType: requestType,
+            title: overrides.title,
+            status: overrides.status,
+            savedBy: overrides.savedBy,
+            priority: overrides.priority,
+            tags: overrides.tags,
+            confirmReaction: overrides.confirmReaction
+          })
+        });
+        return;
+      }
+    }
+    
+    claimed = await claimThread(threadUrl);
+    
+    if (!claimed) {
+      console.log(`Thread ${threadUrl} is already being saved, skipping`);
+      return;
+    }
+    
+    // Get channel info
+    const channelInfo = await client.conversations.info({
+      channel: channel
+    });
+    
+    // Priority and tags are checked against the database; a bad value is reported, not fatal
+    const classification = hasClassification && getDatabaseId(typeConfig)
+      ? await buildClassificationProperties(getDatabaseId(typeConfig), overrides)
+      : { properties: {}, problems: [] };
+    
+    const page = await createRequestPage({
+      client: client,
+      requestType: requestType,
+      title: title,
+      status: overrides.status || typeConfig.initialStatus,
+      blocks: await buildThreadBlocks(client, draft),
+      channel: channel,
+      channelName: channelInfo.channel?.name,
+      threadTs: threadTs,
+      requesterId: draft.originalMessage.user,
+      extraProperties: classification.properties
+    });
+    
+    await startThreadSync(channel, threadTs, page.id);
+    await rememberStatus(page.id, overrides.status || typeConfig.initialStatus);
+    
+    // Saves started with a reaction are confirmed the same way, unless something needs reading
+    if (overrides.confirmReaction && classification.problems.length === 0) {
+      await addConfirmReaction(client, overrides.confirmReaction);
+      return;
+    }
+    
+    // Confirm in thread
+    await client.chat.postMessage({
+      channel: channel,
+      thread_ts: threadTs,
+      text: `✅ ${typeConfig.label} request saved to Notion database!${overrides.savedBy ? ` (saved by <@${overrides.savedBy}>)` : ''}`
+        + classification.problems.map(problem => `\n⚠️ ${problem}`).join(''),
+      unfurl_links: false
+    });
+  } catch (error) {
+    let errorMessage = `❌ Failed to save ${requestType} request`;
+    
+    if (error.message.includes('timed out')) {
+      errorMessage += ": Request timed out. The Notion API might be experiencing delays.";
+    } else if (error.code === 'notFound') {
+      errorMessage += ": Database not found. Please check your configuration.";
+    } else if (error.message.includes('Date Created')) {
+      errorMessage += ": 'Date Created' property issue. Please add this property to your Notion database.";
+    } else {
+      errorMessage += `: ${error.message}`;
+    }
+    
+    console.error(`Error creating ${requestType} request:`, error);
+    
+    if (claimed) {
+      await releaseThread(threadUrl);
+    }
+    
+    await client.chat.postMessage({
+      channel: channel,
+      thread_ts: threadTs,
+      text: errorMessage,
+      unfurl_links: false
+    });
+  }
+}
+
+// React to a message to confirm it was saved; already having reacted is fine
+async function addConfirmReaction(client, { channel, timestamp }) {
+  try {
+    await client.reactions.add({ channel: channel, timestamp: timestamp, name: 'white_check_mark' });
+  } catch (error) {
+    if (error.data?.error !== 'already_reacted') {
+      throw error;
+    }
+  }
+}
+
+// Build a plain text option for a select menu
+function toOption(value, label) {
+  return {
+    text: { type: 'plain_text', text: label || value },
+    value: value
+  };
+}
+
+// Build the "Save to HelperBot" modal; the status block is keyed by type so switching types resets it
+function buildSaveRequestModal({ channel, threadTs, requestType, title, derivedTitle, preview }) {
+  const typeConfig = getTypeConfig(requestType);
+  
+  return {
+    type: 'modal',
+    callback_id: 'save_request_modal',
+    private_metadata: JSON.stringify({ channel, threadTs, derivedTitle }),
+    title: { type: 'plain_text', text: 'Save to HelperBot' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'title',
+        label: { type: 'plain_text', text: 'Title' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          initial_value: title,
+          max_length: 2000
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'request_type',
+        dispatch_action: true,
+        label: { type: 'plain_text', text: 'Type' },
+        element: {
+          type: 'static_select',
+          action_id: 'request_type_select',
+          options: requestTypes.allowedTypes(channel).map(key => toOption(key, getTypeConfig(key).label)),
+          initial_option: toOption(typeConfig.key, typeConfig.label)
+        }
+      },
+      {
+        type: 'input',
+        block_id: `status_${typeConfig.key}`,
+        label: { type: 'plain_text', text: 'Initial status' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: typeConfig.statuses.map(status => toOption(status)),
+          initial_option: toOption(typeConfig.initialStatus)
+        }
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        block_id: 'description_preview',
+        text: { type: 'mrkdwn', text: preview }
+      }
+    ]
+  };
+}
+
+// Message shortcut: review the derived title, type and status before saving a thread
+// Like /helperbot, the ack goes out when the handler returns, after the preview is built
+app.shortcut('save_to_helperbot', async ({ shortcut, ack, client }) => {
+  await ack();
+  
+  const channel = shortcut.channel.id;
+  const threadTs = shortcut.message.thread_ts || shortcut.message.ts;
+  let viewId;
+  
+  try {
+    // Open a placeholder right away, the trigger_id expires after 3 seconds
+    const opened = await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: {
+        type: 'modal',
+        title: { type: 'plain_text', text: 'Save to HelperBot' },
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: 'Loading thread...' } }]
+      }
+    });
+    viewId = opened.view.id;
+    
+    const draft = await loadThreadDraft(client, channel, threadTs);
+    
+    // Prefer keywords on the message the shortcut was used on, then the thread's original message,
+    // then the channel's default, then whatever the channel allows
+    const allowedTypes = requestTypes.allowedTypes(channel);
+    
+    if (allowedTypes.length === 0) {
+      throw new Error("This channel doesn't take requests");
+    }
+    
+    let requestType = getRequestType(
+      shortcut.message.text || '',
+      requestTypes.detectOver(draft.originalMessage.text, await getChannelDefaultType(channel))
+    );
+    if (!allowedTypes.includes(requestType)) {
+      requestType = allowedTypes[0];
+    }
+    const title = deriveRequestTitle(draft.originalMessage.text, requestType);
+    
+    // Section text is capped at 3,000 characters
+    const preview = `*Description preview:*\n${draft.description}`;
+    
+    await client.views.update({
+      view_id: viewId,
+      view: buildSaveRequestModal({
+        channel: channel,
+        threadTs: threadTs,
+        requestType: requestType,
+        title: title,
+        derivedTitle: title,
+        preview: preview.length > 2900 ? `${preview.substring(0, 2900)}…` : preview
+      })
+    });
+  } catch (error) {
+    console.error('Error opening save request modal:', error);
+    
+    if (viewId) {
+      await client.views.update({
+        view_id: viewId,
+        view: {
+          type: 'modal',
+          title: { type: 'plain_text', text: 'Save to HelperBot' },
+          blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `❌ Failed to load thread: ${error.message}` } }]
+        }
+      });
+    }
+  }
+});
+
+// Switching type in the modal swaps the status options and re-derives an untouched title
+app.action('request_type_select', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    const view = body.view;
+    const metadata = JSON.parse(view.private_metadata);
+    const requestType = body.actions[0].selected_option.value;
+    let title = view.state.values.title.value.value || '';
+    let derivedTitle = metadata.derivedTitle;
+    
+    if (title === metadata.derivedTitle) {
+      const replies = await client.conversations.replies({
+        channel: metadata.channel,
+        ts: metadata.threadTs,
+        limit: 1
+      });
+      title = deriveRequestTitle(replies.messages[0].text, requestType);
+      derivedTitle = title;
+    }
+    
+    const previewBlock = view.blocks.find(block => block.block_id === 'description_preview');
+    
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: buildSaveRequestModal({
+        channel: metadata.channel,
+        threadTs: metadata.threadTs,
+        requestType: requestType,
+        title: title,
+        derivedTitle: derivedTitle,
+        preview: previewBlock.text.text
+      })
+    });
+  } catch (error) {
+    console.error('Error switching request type in modal:', error);
+  }
+});
+
+// Modal submission runs the same create pipeline as mentions
+app.view('save_request_modal', async ({ ack, view, body, client }) => {
+  const values = view.state.values;
+  const { channel, threadTs } = JSON.parse(view.private_metadata);
+  const requestType = values.request_type.request_type_select.selected_option.value;
+  const title = (values.title.value.value || '').trim();
+  const status = values[`status_${requestType}`]?.value?.selected_option?.value;
+  
+  if (!title) {
+    await ack({ response_action: 'errors', errors: { title: 'Please enter a title' } });
+    return;
+  }
+  
+  const typeConfig = getTypeConfig(requestType);
+  
+  if (!requestTypes.allowedTypes(channel).includes(requestType)) {
+    await ack({ response_action: 'errors', errors: { request_type: `${typeConfig.label} requests can't be saved from this channel` } });
+    return;
+  }
+  
+  if (status && status !== typeConfig.initialStatus && await checkStatusPermission(client, requestType, body.user.id)) {
+    await ack({
+      response_action: 'errors',
+      errors: { [`status_${requestType}`]: `You can't change the status of ${typeConfig.label} requests, leave it at "${typeConfig.initialStatus}"` }
+    });
+    return;
+  }
+  
+  await ack();
+  
+  await handleCreateCommand(client, channel, threadTs, requestType, {
+    title: title,
+    status: status,
+    savedBy: body.user.id,
+    actorId: body.user.id
+  });
+});
+
+// "Create anyway": save the thread as a new request despite the similar title
+app.action('duplicate_create', async ({ ack, body, action, respond, client }) => {
+  await ack();
+  
+  const request = JSON.parse(action.value);
+  await respond({ replace_original: true, text: 'Creating a new request...' });
+  
+  await handleCreateCommand(client, request.channel, request.threadTs, request.requestType, {
+    title: request.title,
+    status: request.status,
+    savedBy: request.savedBy,
+    priority: request.priority,
+    tags: request.tags,
+    confirmReaction: request.confirmReaction,
+    actorId: body.user.id,
+    skipSimilarCheck: true
+  });
+});
+
+// "Add as context": append the thread to the existing request instead of creating a new one
+app.action('duplicate_append', async ({ ack, body, action, respond, client }) => {
+  await ack();
+  
+  const { pageId, channel, threadTs, requestType } = JSON.parse(action.value);
+  
+  try {
+    const denial = await checkCreatePermission(client, channel, requestType, body.user.id);
     
-    if (error.message.includes('timed out')) {
-      errorMessage += ": Request timed out. The Notion API might be experiencing delays.";
-    } else if (error.code === 'notFound') {
-      errorMessage += ": Item or database not found. Please check your request.";
-    } else {
-      errorMessage += `: ${error.message}`;
+    if (denial) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: denial });
+      return;
     }
     
-    console.error(`Error updating ${requestType} status:`, error);
+    const draft = await loadThreadDraft(client, channel, threadTs);
+    const channelInfo = await client.conversations.info({ channel: channel });
+    const page = await requests.get(pageId);
     
-    await client.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: errorMessage,
-      unfurl_links: false
+    await appendBlocks(pageId, [
+      {
+        object: "block",
+        type: "heading_3",
+        heading_3: {
+          rich_text: [{ type: "text", text: { content: "Related thread" } }]
+        }
+      },
+      ...buildDescriptionBlocks(await buildThreadBlocks(client, draft), channel, channelInfo.channel?.name, threadTs),
+      {
+        object: "block",
+        type: "bookmark",
+        bookmark: { url: getThreadUrl(channel, threadTs) }
+      }
+    ]);
+    
+    await startThreadSync(channel, threadTs, pageId);
+    
+    await respond({
+      replace_original: true,
+      text: `📎 Added this thread to <${page.url}|${getPageTitle(page)}> (by <@${body.user.id}>)`
     });
+  } catch (error) {
+    console.error(`Error appending thread to ${requestType} request:`, error);
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `❌ Failed to add this thread to the existing request: ${error.message}`
+    });
+  }
+});
+
+// Look up a Slack user's display name
+async function getUserName(client, userId) {
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    return userInfo.user.real_name;
+  } catch (error) {
+    return 'Unknown User';
   }
 }
 
-// Create command handler
-async function handleCreateCommand(client, channel, threadTs, requestType) {
+// Blocks for a reply synced from Slack
+async function buildReplyBlocks(client, message, edited) {
+  const names = await resolveMentionNames(client, [message]);
+  
+  return [
+    ...convertMessage({
+      author: names.users[message.user],
+      timestamp: `${formatSlackTs(message.ts)}${edited ? ' (edited)' : ''}`,
+      text: message.text || '',
+      names: names
+    }),
+    ...await buildAttachmentBlocks(client, message)
+  ];
+}
+
+// Remember that a saved thread's later replies belong on a Notion page
+async function startThreadSync(channel, threadTs, pageId) {
   try {
-    console.log(`Creating ${requestType} request in thread ${threadTs}`);
-    
-    // Get thread info
-    const replies = await client.conversations.replies({
-      channel: channel,
-      ts: threadTs
-    });
-    
-    if (!replies.messages || replies.messages.length === 0) {
-      throw new Error('No messages found in thread');
+    await store.set(workspaceKey(`sync:${channel}:${threadTs}`), { pageId, enabled: true });
+  } catch (error) {
+    console.error('Failed to remember thread for syncing:', error.message);
+  }
+}
+
+// Stop/start syncing command handler
+async function handleSyncCommand(reply, channel, threadTs, enabled) {
+  const key = workspaceKey(`sync:${channel}:${threadTs}`);
+  const sync = await store.get(key);
+  
+  if (!sync) {
+    await reply.post({ text: "❌ This thread isn't saved to Notion yet, so there's nothing to sync." });
+    return;
+  }
+  
+  await store.set(key, { ...sync, enabled });
+  
+  await reply.post({
+    text: enabled
+      ? '🔄 New replies in this thread will be added to the Notion page again.'
+      : '⏸️ Stopped syncing this thread. Say "@helperbot start syncing" to resume.'
+  });
+}
+
+// Append, edit or remove the Notion block for a reply in a synced thread
+async function syncThreadMessage(client, context, event) {
+  const edited = event.subtype === 'message_changed';
+  const deleted = event.subtype === 'message_deleted';
+  const message = edited ? event.message : deleted ? event.previous_message : event;
+  
+  // Only replies count; the root message was captured when the thread was saved
+  if (!message || !message.thread_ts || message.thread_ts === message.ts) {
+    return;
+  }
+  
+  // Skip the bot's own messages and commands addressed to it
+  if (message.bot_id || message.user === context.botUserId ||
+      (message.text || '').includes(`<@${context.botUserId}>`)) {
+    return;
+  }
+  
+  const sync = await store.get(workspaceKey(`sync:${event.channel}:${message.thread_ts}`));
+  if (!sync || !sync.enabled) {
+    return;
+  }
+  
+  // Each reply maps to the blocks it was converted into; the first is always a paragraph
+  const blockKey = workspaceKey(`syncmsg:${event.channel}:${message.ts}`);
+  const blockIds = [].concat((await store.get(blockKey)) || []);
+  
+  if (deleted) {
+    if (blockIds.length > 0) {
+      for (const blockId of blockIds) {
+        await requests.deleteBlock(blockId);
+      }
+      await store.delete(blockKey);
+      console.log(`Removed deleted reply ${message.ts} from page ${sync.pageId}`);
     }
+    return;
+  }
+  
+  const blocks = await buildReplyBlocks(client, message, edited);
+  
+  // Edits to replies from before the thread was saved are already in the snapshot
+  if (edited) {
+    if (blockIds.length > 0) {
+      const [firstId, ...staleIds] = blockIds;
+      
+      await requests.updateBlock(firstId, blocks[0]);
+      for (const blockId of staleIds) {
+        await requests.deleteBlock(blockId);
+      }
+      const added = await appendBlocks(sync.pageId, blocks.slice(1), firstId);
+      
+      await store.set(blockKey, [firstId, ...added.map(block => block.id)]);
+      console.log(`Updated edited reply ${message.ts} on page ${sync.pageId}`);
+    }
+    return;
+  }
+  
+  const added = await appendBlocks(sync.pageId, blocks);
+  await store.set(blockKey, added.map(block => block.id));
+  console.log(`Appended reply ${message.ts} to page ${sync.pageId}`);
+}
+
+// Keep saved threads in sync with their Notion pages
+app.event('message', async ({ event, context, client }) => {
+  try {
+    await syncThreadMessage(client, context, event);
+  } catch (error) {
+    console.error('Error syncing thread message:', error);
+  }
+});
+
+// Reaction that counts as a vote on a saved thread's root message
+const VOTE_EMOJI = (process.env.HELPERBOT_VOTE_EMOJI || '+1').replace(/:/g, '');
+
+// Number and text (or people) properties the votes are mirrored into (optional)
+const VOTES_PROPERTY = 'Votes';
+const VOTERS_PROPERTY = 'Voters';
+
+// Slack reports skin tones as part of the name, e.g. "+1::skin-tone-3"
+function isVoteReaction(name) {
+  return name.split('::')[0] === VOTE_EMOJI;
+}
+
+// Write the vote count and voters to a request's page, skipping properties the database lacks
+async function writeVotes(client, pageId, voters) {
+  const page = await requests.get(pageId);
+  const schema = await getDatabaseProperties(page.parent.database_id);
+  const properties = {};
+  
+  if (schema[VOTES_PROPERTY]?.type === 'number') {
+    properties[VOTES_PROPERTY] = { number: voters.length };
+  }
+  
+  if (schema[VOTERS_PROPERTY]?.type === 'people') {
+    const notionUserIds = await Promise.all(voters.map(voter => findNotionUserForSlackUser(client, voter)));
+    properties[VOTERS_PROPERTY] = { people: notionUserIds.filter(Boolean).map(id => ({ id })) };
+  } else if (schema[VOTERS_PROPERTY]?.type === 'rich_text') {
+    const names = await Promise.all(voters.map(voter => getUserName(client, voter)));
+    properties[VOTERS_PROPERTY] = { rich_text: [{ text: { content: names.join(', ').substring(0, 2000) } }] };
+  }
+  
+  if (Object.keys(properties).length === 0) {
+    console.log(`No "${VOTES_PROPERTY}" number property on page ${pageId}, not recording votes`);
+    return;
+  }
+  
+  await withNotionTimeout(requests.update(pageId, properties));
+}
+
+// Recount the votes on a saved thread's root message and mirror them into Notion. Reading the
+// reactions back from Slack makes adds and removes alike, and votes from every thread saved to
+// the same page are combined with each voter counted once.
+async function syncThreadVotes(client, event) {
+  if (event.item?.type !== 'message' || !isVoteReaction(event.reaction)) {
+    return;
+  }
+  
+  const { channel, ts } = event.item;
+  const sync = await store.get(workspaceKey(`sync:${channel}:${ts}`));
+  
+  if (!sync) {
+    return;
+  }
+  
+  const result = await client.reactions.get({ channel: channel, timestamp: ts, full: true });
+  const botUserId = await getBotUserId(client);
+  const voters = (result.message?.reactions || [])
+    .filter(reaction => isVoteReaction(reaction.name))
+    .flatMap(reaction => reaction.users || [])
+    .filter(user => user !== botUserId);
+  
+  const votesKey = workspaceKey(`votes:${sync.pageId}`);
+  const votesByThread = (await store.get(votesKey)) || {};
+  votesByThread[`${channel}:${ts}`] = [...new Set(voters)];
+  await store.set(votesKey, votesByThread);
+  
+  const allVoters = [...new Set(Object.values(votesByThread).flat())];
+  console.log(`Recording ${allVoters.length} vote(s) for page ${sync.pageId}`);
+  await writeVotes(client, sync.pageId, allVoters);
+}
+
+// Save the thread a message belongs to when someone adds a type's capture reaction
+async function captureFromReaction(client, event) {
+  const requestType = requestTypes.fromReaction(event.reaction);
+  
+  if (!requestType || event.item?.type !== 'message') {
+    return;
+  }
+  
+  const { channel, ts } = event.item;
+  
+  // The reacted message may be a reply, the thread it's in is what gets saved
+  const replies = await client.conversations.replies({ channel: channel, ts: ts, limit: 1 });
+  const message = replies.messages?.[0];
+  const threadTs = message?.thread_ts || ts;
+  
+  console.log(`Capturing thread ${threadTs} as ${requestType} from :${event.reaction}: by ${event.user}`);
+  
+  await handleCreateCommand(client, channel, threadTs, requestType, {
+    savedBy: event.user,
+    actorId: event.user,
+    confirmReaction: { channel: channel, timestamp: ts }
+  });
+}
+
+// Capture and votes need the reaction_added and reaction_removed events (reactions:read scope)
+app.event('reaction_added', async ({ event, client }) => {
+  try {
+    await captureFromReaction(client, event);
+  } catch (error) {
+    console.error('Error capturing request from reaction:', error);
+  }
+  
+  try {
+    await syncThreadVotes(client, event);
+  } catch (error) {
+    console.error('Error syncing votes:', error);
+  }
+});
+
+app.event('reaction_removed', async ({ event, client }) => {
+  try {
+    await syncThreadVotes(client, event);
+  } catch (error) {
+    console.error('Error syncing votes:', error);
+  }
+});
+
+// Notion's last_edited_time is rounded to the minute, so look back a little further than the last run
+const STATUS_SYNC_OVERLAP_MS = 2 * 60 * 1000;
+
+// Record the last status we know a page had
+async function rememberStatus(pageId, status) {
+  try {
+    await store.set(workspaceKey(`status:${pageId}`), status);
+  } catch (error) {
+    console.error('Failed to remember request status:', error.message);
+  }
+}
+
+// How long status changes are kept for the digest
+const STATUS_LOG_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Format a time for history comments, e.g. "2026-10-18 14:03 UTC"
+function formatHistoryTime(time) {
+  return `${new Date(time).toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Status changes are written as page comments in this form, and read back by "history"
+const HISTORY_COMMENT_PATTERN = /^Status changed from "(.*)" to "(.*)" by (.+) via (Slack|Notion) on (\d{4}-\d{2}-\d{2} \d{2}:\d{2}) UTC$/;
+
+// Record a status change, whether made from Slack or in Notion: as a comment on the page, which
+// is its audit trail (needs the integration's comment capabilities), and in the store's log for
+// the weekly digest
+async function recordStatusChange(page, previousStatus, newStatus, { actor, source, at = Date.now() } = {}) {
+  const comment = `Status changed from "${previousStatus}" to "${newStatus}" by ${actor || 'Unknown User'} via ${source || 'Slack'} on ${formatHistoryTime(at)}`;
+  
+  try {
+    await withNotionTimeout(requests.addComment(page.id, comment));
+  } catch (error) {
+    console.error('Failed to add status history comment:', error.message);
+  }
+  
+  try {
+    const log = (await store.get(workspaceKey('statusLog'))) || [];
+    const recent = log.filter(entry => entry.at > at - STATUS_LOG_TTL_MS);
     
-    // Extract thread information
-    const originalMessage = replies.messages[0];
-    const threadMessages = replies.messages.slice(1);
-    
-    // Get user info
-    const requesterInfo = await client.users.info({
-      user: originalMessage.user
-    });
-    
-    // Get channel info
-    const channelInfo = await client.conversations.info({
-      channel: channel
+    recent.push({
+      pageId: page.id,
+      databaseId: page.parent?.database_id,
+      title: getPageTitle(page),
+      url: page.url,
+      slackUrl: page.properties["Slack URL"]?.url || null,
+      from: previousStatus,
+      to: newStatus,
+      actor: actor || null,
+      at: at
     });
     
-   // Format request title
-      let requestTitle = originalMessage.text.split('\n')[0].substring(0, 80);
-      const requestTypeCapitalized = requestType.charAt(0).toUpperCase() + requestType.slice(1);
+    await store.set(workspaceKey('statusLog'), recent);
+  } catch (error) {
+    console.error('Failed to record status change:', error.message);
+  }
+}
 
-      // Clean up any Slack user IDs for ALL request types
-      requestTitle = requestTitle.replace(/<@[A-Z0-9]+>/g, '').trim();
+// Notion user names, looked up once per instance
+const notionUserNames = new Map();
 
-      // Extract project/team name for BD requests
-      if (requestType === 'bd') {
-        // Look for patterns like "add X to bd" or similar
-        const addToBdRegex = /add\s+([A-Za-z0-9]+(?:[A-Za-z0-9._-]*[A-Za-z0-9]+)?)\s+to\s+bd/i;
-        const match = originalMessage.text.match(addToBdRegex);
-        
-        if (match && match[1]) {
-          // We found a project/team name to add
-          const projectName = match[1];
-          requestTitle = `Add ${projectName} to BD`;
-        } else if (!requestTitle.toLowerCase().includes("bd")) {
-          // Generic BD request title if no specific pattern matched
-          requestTitle = `${requestTypeCapitalized} request: ${requestTitle}`;
-        }
-      } else if (!requestTitle.toLowerCase().includes(requestType)) {
-        // For feature requests
-        requestTitle = `${requestTypeCapitalized} request: ${requestTitle}`;
-      }
-    // Build description from thread
-    let fullDescription = `*Original request by ${requesterInfo.user.real_name}:*\n${originalMessage.text}\n\n`;
+async function getNotionUserName(userId) {
+  if (!userId) {
+    return 'Unknown User';
+  }
+  
+  if (!notionUserNames.has(userId)) {
+    try {
+      const user = await requests.getPerson(userId);
+      notionUserNames.set(userId, user.name || 'Unknown User');
+    } catch (error) {
+      console.error(`Failed to look up Notion user ${userId}:`, error.message);
+      return 'Unknown User';
+    }
+  }
+  return notionUserNames.get(userId);
+}
+
+// Human readable length of time, e.g. "3 days" or "5 hours"
+function formatDuration(ms) {
+  const units = [['day', 24 * 60 * 60 * 1000], ['hour', 60 * 60 * 1000], ['minute', 60 * 1000]];
+  
+  for (const [unit, size] of units) {
+    if (ms >= size) {
+      const count = Math.floor(ms / size);
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return 'less than a minute';
+}
+
+// Read a request's status history back from its comments, oldest first
+async function getStatusHistory(pageId) {
+  const entries = [];
+  let cursor;
+  
+  do {
+    const response = await withNotionTimeout(requests.listComments(pageId, { cursor: cursor }));
     
-    if (threadMessages.length > 0) {
-      fullDescription += "*Additional context from thread:*\n";
-      for (const msg of threadMessages) {
-        if (!msg.text || msg.text.includes('@helperbot')) continue;
-        
-        try {
-          const userInfo = await client.users.info({ user: msg.user });
-          fullDescription += `- ${userInfo.user.real_name}: ${msg.text}\n`;
-        } catch (error) {
-          fullDescription += `- Unknown User: ${msg.text}\n`;
-        }
+    for (const comment of response.results) {
+      const text = comment.rich_text.map(item => item.plain_text).join('');
+      const match = text.match(HISTORY_COMMENT_PATTERN);
+      if (match) {
+        const [, from, to, actor, source, time] = match;
+        entries.push({ from, to, actor, source, at: new Date(`${time.replace(' ', 'T')}:00Z`).getTime() });
       }
     }
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  
+  return entries.sort((a, b) => a.at - b.at);
+}
+
+// Render a request's history, with how long it spent in each status
+function buildHistoryText(page, entries, now = Date.now()) {
+  const title = getPageTitle(page);
+  const created = new Date(page.created_time).getTime();
+  const lines = [`• ${formatHistoryTime(created)}: created`];
+  let statusSince = created;
+  
+  for (const entry of entries) {
+    lines.push(`• ${formatHistoryTime(entry.at)}: ${entry.from} → ${entry.to} by ${entry.actor} via ${entry.source} (${entry.from} for ${formatDuration(entry.at - statusSince)})`);
+    statusSince = entry.at;
+  }
+  
+  lines.push(`Currently *${getPageStatus(page)}* for ${formatDuration(now - statusSince)}`);
+  
+  return `🕘 *History of "${escapeMrkdwn(title)}"*\n${lines.join('\n')}`;
+}
+
+// History command handler
+async function handleHistoryCommand(reply, requestType, featureQuery) {
+  try {
+    console.log(`Showing history of ${requestType} request: "${featureQuery}"`);
+    const matches = await findRequests(requestType, featureQuery);
     
-    // Select the database ID based on request type
-    const dbId = databaseIds[requestType];
-    console.log(`Using database ID: ${dbId} for ${requestType} request`);
+    if (matches.length === 0) {
+      await reply.post({ text: `❌ No ${requestType} request found matching "${featureQuery}"` });
+      return;
+    }
     
-    if (!dbId) {
-      throw new Error(`No database ID configured for ${requestType} requests`);
+    if (matches.length > 1) {
+      const titles = matches.map(page => `• ${getPageTitle(page)}`).join('\n');
+      await reply.post({ text: `Found multiple matches for "${featureQuery}", which one did you mean?\n\n${titles}` });
+      return;
     }
     
-    // Determine initial status based on request type
-    const initialStatus = requestType === 'bd' ? validStatuses.bd[0] : validStatuses.feature[0];
+    const entries = await getStatusHistory(matches[0].id);
+    await reply.post({ text: buildHistoryText(matches[0], entries) });
+  } catch (error) {
+    console.error(`Error showing history of ${requestType} request:`, error);
+    await reply.post({ text: `❌ Failed to show history of ${requestType} request: ${error.message}` });
+  }
+}
+
+// Split a stored Slack URL back into channel and thread timestamp
+function parseThreadUrl(url) {
+  const match = (url || '').match(/\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})/);
+  return match ? { channel: match[1], threadTs: `${match[2]}.${match[3]}` } : null;
+}
+
+// Fetch every page in a database edited since a point in time
+async function queryPagesEditedSince(dbId, since) {
+  const pages = [];
+  let cursor;
+  
+  do {
+    const response = await requests.list(dbId, {
+      filter: {
+        timestamp: 'last_edited_time',
+        last_edited_time: { on_or_after: since.toISOString() }
+      },
+      cursor: cursor
+    });
+    pages.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  
+  return pages;
+}
+
+// Post a status change into the thread a request came from, mentioning whoever started it
+async function notifyStatusChange(client, page, previousStatus, newStatus) {
+  const thread = parseThreadUrl(page.properties["Slack URL"]?.url);
+  if (!thread) {
+    return false;
+  }
+  
+  const replies = await client.conversations.replies({
+    channel: thread.channel,
+    ts: thread.threadTs,
+    limit: 1
+  });
+  const requester = replies.messages?.[0]?.user;
+  
+  await client.chat.postMessage({
+    channel: thread.channel,
+    thread_ts: thread.threadTs,
+    text: `🔔 ${requester ? `<@${requester}> ` : ''}Status changed from "${previousStatus}" to "${newStatus}" for <${page.url}|${getPageTitle(page)}>`,
+    unfurl_links: false
+  });
+  return true;
+}
+
+// Compare recently edited pages against their last known status and announce changes.
+// Pages seen for the first time are only recorded, since there's nothing to compare with;
+// the very first run records every page.
+async function syncStatusChanges(client, now = new Date()) {
+  const lastRun = await store.get(workspaceKey('statusSync:lastRun'));
+  const since = new Date(lastRun ? lastRun - STATUS_SYNC_OVERLAP_MS : 0);
+  const result = { checked: 0, notified: 0, since: since.toISOString() };
+  
+  for (const typeConfig of requestTypes.types) {
+    if (!getDatabaseId(typeConfig)) continue;
     
-    // Create Notion page with retry logic
-    const maxRetries = 3;
-    let attempt = 0;
-    let success = false;
+    const pages = await queryPagesEditedSince(getDatabaseId(typeConfig), since);
     
-    while (attempt < maxRetries && !success) {
+    for (const page of pages) {
+      result.checked++;
+      
       try {
-        attempt++;
-          await notion.pages.create({
-            parent: { database_id: dbId },
-            properties: {
-              Title: {
-                title: [{ text: { content: requestTitle } }]
-              },
-              Status: {
-                select: { name: initialStatus }
-              },
-              "Slack URL": {
-                url: `https://slack.com/archives/${channel}/p${threadTs.replace('.', '')}`
-              },
-              "Date Created": {
-                date: { 
-                  start: new Date().toISOString() 
-                }
-              }
-            },
-          children: [
-            {
-              object: "block",
-              type: "paragraph",
-              paragraph: {
-                rich_text: [
-                  {
-                    type: "text",
-                    text: {
-                      content: fullDescription
-                    }
-                  }
-                ]
-              }
-            },
-            {
-              object: "block",
-              type: "paragraph",
-              paragraph: {
-                rich_text: [
-                  {
-                    type: "text",
-                    text: {
-                      content: `Requested in #${channelInfo.channel?.name || channel} on ${new Date(parseInt(threadTs) * 1000).toLocaleString()}`
-                    }
-                  }
-                ]
-              }
-            }
-          ]
-        });
-        success = true;
-        console.log(`Successfully created ${requestType} request in Notion`);
-      } catch (error) {
-        if (attempt >= maxRetries) {
-          throw error;
+        const status = getPageStatus(page);
+        const knownStatus = await store.get(workspaceKey(`status:${page.id}`));
+        
+        if (knownStatus === status) continue;
+        
+        if (knownStatus) {
+          await recordStatusChange(page, knownStatus, status, {
+            actor: await getNotionUserName(page.last_edited_by?.id),
+            source: 'Notion',
+            at: new Date(page.last_edited_time || now).getTime()
+          });
         }
-        console.error(`Create attempt ${attempt} failed: ${error.message}. Retrying...`);
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+        if (knownStatus && await notifyStatusChange(client, page, knownStatus, status)) {
+          result.notified++;
+        }
+        await rememberStatus(page.id, status);
+      } catch (error) {
+        console.error(`Failed to sync status of page ${page.id}:`, error.message);
       }
     }
-    
-    // Confirm in thread
-    await client.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: `✅ ${requestTypeCapitalized} request saved to Notion database!`,
-      unfurl_links: false
-    });
+  }
+  
+  await store.set(workspaceKey('statusSync:lastRun'), now.getTime());
+  console.log(`Status sync checked ${result.checked} pages, notified ${result.notified} threads`);
+  return result;
+}
+
+// Requests whose status hasn't changed for this many days count as stuck in the digest
+const DIGEST_STUCK_DAYS = Number(process.env.HELPERBOT_STUCK_DAYS) || 14;
+
+// The digest's view of a request page
+function toDigestItem(page) {
+  return {
+    id: page.id,
+    title: getPageTitle(page),
+    url: page.url,
+    slackUrl: page.properties["Slack URL"]?.url,
+    status: getPageStatus(page),
+    createdTime: page.created_time
+  };
+}
+
+// Fetch one request type's requests for the week before `now` and build its digest text
+async function fetchTypeDigest(typeConfig, statusLog, now) {
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const stuckBefore = new Date(now.getTime() - DIGEST_STUCK_DAYS * DAY_MS);
+  
+  const created = await queryAllRequests({
+    requestType: typeConfig.key,
+    showCompleted: true,
+    since: weekAgo.toISOString()
+  });
+  
+  // Requests created since stuckBefore can't have been in one status that long. A status change
+  // is an edit, so in a large database the ones left out past the limit were edited recently.
+  const open = await queryAllRequests({
+    requestType: typeConfig.key,
+    showCompleted: false,
+    createdBefore: stuckBefore.toISOString(),
+    oldestEditedFirst: true
+  }, STATUS_COUNT_LIMIT);
+  
+  const completed = typeConfig.doneStatus
+    ? await queryAllRequests({
+      requestType: typeConfig.key,
+      status: typeConfig.doneStatus,
+      editedSince: weekAgo.toISOString()
+    })
+    : [];
+  
+  return buildTypeDigest(typeConfig, {
+    databaseId: getDatabaseId(typeConfig),
+    created: created.map(toDigestItem),
+    open: open.map(toDigestItem),
+    completed: completed.map(toDigestItem),
+    statusLog: statusLog,
+    now: now,
+    stuckDays: DIGEST_STUCK_DAYS,
+    statusLogMs: STATUS_LOG_TTL_MS
+  });
+}
+
+// Post a digest per request type to the digest channel. `now` can be passed in to
+// produce the digest for another week.
+async function postWeeklyDigest(client, now = new Date()) {
+  const channel = workspaceContext.getStore()?.digestChannel || process.env.HELPERBOT_DIGEST_CHANNEL;
+  
+  if (!channel) {
+    throw new Error('No digest channel: set HELPERBOT_DIGEST_CHANNEL or pick one in /helperbot config notion');
+  }
+  
+  let statusLog = [];
+  try {
+    statusLog = (await store.get(workspaceKey('statusLog'))) || [];
   } catch (error) {
-    let errorMessage = `❌ Failed to save ${requestType} request`;
-    
-    if (error.message.includes('timed out')) {
-      errorMessage += ": Request timed out. The Notion API might be experiencing delays.";
-    } else if (error.code === 'notFound') {
-      errorMessage += ": Database not found. Please check your configuration.";
-    } else if (error.message.includes('Date Created')) {
-      errorMessage += ": 'Date Created' property issue. Please add this property to your Notion database.";
-    } else {
-      errorMessage += `: ${error.message}`;
-    }
-    
-    console.error(`Error creating ${requestType} request:`, error);
+    console.error('Failed to read status changes for the digest:', error.message);
+  }
+  
+  const result = { posted: 0 };
+  
+  for (const typeConfig of requestTypes.types) {
+    if (!getDatabaseId(typeConfig)) continue;
     
+    const text = await fetchTypeDigest(typeConfig, statusLog, now);
     await client.chat.postMessage({
       channel: channel,
-      thread_ts: threadTs,
-      text: errorMessage,
+      text: text,
       unfurl_links: false
     });
+    result.posted++;
   }
+  
+  console.log(`Posted ${result.posted} digest message(s) to ${channel}`);
+  return result;
 }
 
 // For serverless function handles
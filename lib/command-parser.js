@@ -0,0 +1,418 @@
+// Grammar for @helperbot mentions and /helperbot text. A command is a verb right after the bot
+// mention (or first in slash command text) followed by its arguments; anything else saves the
+// thread. Titles and statuses with spaces can be quoted:
+//   update "Export to CSV" to "Not in CRM yet"
+
+// Usage hints shown with syntax errors, without the leading "@helperbot" or "/helperbot"
+const USAGE = {
+  status: 'status [type] [all] [status] [mine | from @user] [in #channel] [since YYYY-MM-DD] [by votes]',
+  update: 'update [type] "title" to "status"',
+  assign: 'assign [type] "title" to @user',
+  priority: 'set priority [type] "title" to p2',
+  tag: 'tag [type] "title" #tag [#tag ...]',
+  search: 'search [words]',
+  show: 'show [type] "title"',
+  history: 'history [type] "title"',
+  config: 'config channel default [type | none], or config notion'
+};
+
+// A message that starts with a command verb but doesn't follow its grammar. `code` is one of
+// unterminated_quote, missing_argument, unexpected_argument or invalid_argument.
+class CommandError extends Error {
+  constructor(code, message, usage) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+    this.usage = usage;
+  }
+}
+
+// Priority ("p1") and tag ("#billing") tokens typed when saving a request. Tags start with a
+// letter so "issue #42" stays in the title. Slack turns a tag that happens to be a channel name
+// into a channel link, so those count as tags too.
+const PRIORITY_TOKEN_PATTERN = /(^|\s)(p\d)(?=\s|$)/gi;
+const TAG_TOKEN_PATTERN = /(^|\s)(?:#([A-Za-z][\w-]*)|<#C[A-Z0-9]+\|([^>]+)>)/g;
+
+function parseCaptureTokens(text) {
+  const tokens = {};
+
+  const priorityMatch = [...text.matchAll(PRIORITY_TOKEN_PATTERN)][0];
+  if (priorityMatch) {
+    tokens.priority = priorityMatch[2].toUpperCase();
+  }
+
+  const tags = [...text.matchAll(TAG_TOKEN_PATTERN)].map(match => match[2] || match[3]);
+  if (tags.length > 0) {
+    tokens.tags = [...new Set(tags)];
+  }
+
+  return tokens;
+}
+
+// Remove priority and tag tokens so they don't end up in a request's title
+function stripCaptureTokens(text) {
+  return text
+    .replace(PRIORITY_TOKEN_PATTERN, '$1')
+    .replace(TAG_TOKEN_PATTERN, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+// Closing quote for each opening quote; Slack clients on macOS and iOS type curly quotes
+const QUOTE_PAIRS = { '"': '"', '“': '”', '”': '”' };
+
+// Turn the inside of <...> into a user, channel or link token
+function entityToken(inner, raw) {
+  const [target, label] = inner.split('|');
+
+  if (/^@[UW][A-Z0-9]+$/.test(target)) {
+    return { type: 'user', id: target.substring(1), raw };
+  }
+  if (/^#C[A-Z0-9]+$/.test(target)) {
+    return { type: 'channel', id: target.substring(1), name: label || null, raw };
+  }
+  return { type: 'link', raw };
+}
+
+// Split text into words, quoted strings and Slack entities (<@U123>, <#C123|name>, links).
+// `usage` is attached to the error for an unclosed quote.
+function tokenize(text, usage) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '<') {
+      const end = text.indexOf('>', position);
+      if (end !== -1) {
+        tokens.push(entityToken(text.substring(position + 1, end), text.substring(position, end + 1)));
+        position = end + 1;
+        continue;
+      }
+    }
+
+    if (QUOTE_PAIRS[char]) {
+      const end = text.indexOf(QUOTE_PAIRS[char], position + 1);
+      if (end === -1) {
+        throw new CommandError('unterminated_quote', `The quote before "${text.substring(position + 1, position + 30)}" is never closed`, usage);
+      }
+      tokens.push({ type: 'quoted', value: text.substring(position + 1, end), raw: text.substring(position, end + 1) });
+      position = end + 1;
+      continue;
+    }
+
+    let end = position;
+    while (end < text.length && !/\s/.test(text[end]) && text[end] !== '<') {
+      end++;
+    }
+    tokens.push({ type: 'word', value: text.substring(position, end), raw: text.substring(position, end) });
+    position = end;
+  }
+
+  return tokens;
+}
+
+// Whether a token is the given word, ignoring case
+function isWord(token, word) {
+  return Boolean(token) && token.type === 'word' && token.value.toLowerCase() === word;
+}
+
+// Text of a run of tokens: quoted strings without their quotes, everything else as typed
+function joinTokens(tokens) {
+  return tokens.map(token => (token.type === 'quoted' ? token.value : token.raw)).join(' ').trim();
+}
+
+// Length of the phrase (e.g. "business development") starting at tokens[index], or 0
+function matchPhrase(tokens, index, phrase) {
+  const words = phrase.toLowerCase().split(/\s+/);
+  return words.every((word, offset) => isWord(tokens[index + offset], word)) ? words.length : 0;
+}
+
+// The request type named by a keyword at tokens[index]: { key, length } or null
+function matchTypeKeyword(tokens, index, registry) {
+  for (const type of registry.types) {
+    for (const keyword of type.keywords) {
+      const length = matchPhrase(tokens, index, keyword);
+      if (length > 0) {
+        return { key: type.key, length };
+      }
+    }
+  }
+  return null;
+}
+
+// The status at tokens[index], quoted or typed out in words, longest first: { status, length } or null
+function matchStatus(tokens, index, typeConfig) {
+  const token = tokens[index];
+
+  if (token?.type === 'quoted') {
+    const status = typeConfig.statuses.find(option => option.toLowerCase() === token.value.toLowerCase());
+    return status ? { status, length: 1 } : null;
+  }
+
+  const statuses = [...typeConfig.statuses].sort((a, b) => b.length - a.length);
+  for (const status of statuses) {
+    const length = matchPhrase(tokens, index, status);
+    if (length > 0) {
+      return { status, length };
+    }
+  }
+  return null;
+}
+
+// Split an optional type keyword off the front of a command's arguments
+function takeRequestType(args, registry, fallbackType) {
+  const keyword = matchTypeKeyword(args, 0, registry);
+  return keyword
+    ? { requestType: keyword.key, args: args.slice(keyword.length) }
+    : { requestType: fallbackType || registry.defaultType, args };
+}
+
+// The title that comes before a command's other arguments; it can't be empty
+function requireTitle(tokens, verb) {
+  const title = joinTokens(tokens);
+  if (!title) {
+    throw new CommandError('missing_argument', 'Which request? Give its title, in quotes if it has spaces.', USAGE[verb]);
+  }
+  return title;
+}
+
+// status [type] [all] [status] [mine | from @user] [in #channel] [since YYYY-MM-DD] [by votes]
+function parseStatus(args, registry, fallbackType) {
+  // The type keyword can go anywhere, and it decides which statuses are valid
+  let requestType = fallbackType || registry.defaultType;
+  const filterTokens = [];
+
+  for (let index = 0; index < args.length;) {
+    const keyword = matchTypeKeyword(args, index, registry);
+    if (keyword) {
+      requestType = keyword.key;
+      index += keyword.length;
+    } else {
+      filterTokens.push(args[index]);
+      index++;
+    }
+  }
+
+  const typeConfig = registry.get(requestType);
+  const command = { type: 'status', requestType, showCompleted: false };
+
+  for (let index = 0; index < filterTokens.length;) {
+    const token = filterTokens[index];
+    const next = filterTokens[index + 1];
+    const word = token.type === 'word' ? token.value.toLowerCase() : null;
+    const status = matchStatus(filterTokens, index, typeConfig);
+
+    if (status) {
+      command.status = status.status;
+      command.showCompleted = command.showCompleted || status.status === typeConfig.doneStatus;
+      index += status.length;
+    } else if (word === 'all' || word === 'completed') {
+      command.showCompleted = true;
+      index++;
+    } else if (word === 'mine') {
+      command.mine = true;
+      index++;
+    } else if (word === 'from') {
+      if (next?.type !== 'user') {
+        throw new CommandError('missing_argument', '"from" needs a @mention of the requester.', USAGE.status);
+      }
+      command.requester = next.id;
+      index += 2;
+    } else if (word === 'in') {
+      if (next?.type !== 'channel') {
+        throw new CommandError('missing_argument', '"in" needs a #channel.', USAGE.status);
+      }
+      command.channel = next.id;
+      index += 2;
+    } else if (word === 'since') {
+      if (!next || !/^\d{4}-\d{2}-\d{2}$/.test(next.value || '')) {
+        throw new CommandError('invalid_argument', '"since" needs a date like 2026-09-01.', USAGE.status);
+      }
+      command.since = next.value;
+      index += 2;
+    } else if ((word === 'by' || word === 'most') && (isWord(next, 'votes') || isWord(next, 'vote'))) {
+      command.sortByVotes = true;
+      index += 2;
+    } else if (token.type === 'quoted') {
+      throw new CommandError('invalid_argument', `"${token.value}" isn't a ${typeConfig.label} status. Valid statuses are: ${typeConfig.statuses.join(', ')}`, USAGE.status);
+    } else {
+      throw new CommandError('unexpected_argument', `I don't know the filter "${token.raw}".`, USAGE.status);
+    }
+  }
+
+  if (command.requester) {
+    delete command.mine;
+  }
+
+  return command;
+}
+
+// update [type] "title" to "status"
+function parseUpdate(args, registry, fallbackType) {
+  const { requestType, args: rest } = takeRequestType(args, registry, fallbackType);
+  const typeConfig = registry.get(requestType);
+
+  // Titles may contain "to" themselves, so prefer the split that leaves exactly a known status
+  const splits = rest
+    .map((token, index) => (isWord(token, 'to') ? index : -1))
+    .filter(index => index !== -1);
+
+  if (splits.length === 0) {
+    throw new CommandError('missing_argument', 'What should the status be? Add "to" and the new status.', USAGE.update);
+  }
+
+  const exact = splits.find(index => {
+    const status = matchStatus(rest, index + 1, typeConfig);
+    return status && index + 1 + status.length === rest.length;
+  });
+  const split = exact !== undefined ? exact : splits[splits.length - 1];
+  const newStatus = joinTokens(rest.slice(split + 1));
+
+  if (!newStatus) {
+    throw new CommandError('missing_argument', 'What should the status be? Add it after "to".', USAGE.update);
+  }
+
+  return {
+    type: 'update',
+    requestType,
+    featureQuery: requireTitle(rest.slice(0, split), 'update'),
+    newStatus
+  };
+}
+
+// assign [type] "title" to @user
+function parseAssign(args, registry, fallbackType) {
+  const { requestType, args: rest } = takeRequestType(args, registry, fallbackType);
+  const assignee = rest[rest.length - 1];
+
+  if (assignee?.type !== 'user' || !isWord(rest[rest.length - 2], 'to')) {
+    throw new CommandError('missing_argument', 'Who should own it? End with "to @someone".', USAGE.assign);
+  }
+
+  return {
+    type: 'assign',
+    requestType,
+    featureQuery: requireTitle(rest.slice(0, -2), 'assign'),
+    assignee: assignee.id
+  };
+}
+
+// set priority [of] [type] "title" to p2
+function parsePriority(args, registry, fallbackType) {
+  const { requestType, args: rest } = takeRequestType(isWord(args[0], 'of') ? args.slice(1) : args, registry, fallbackType);
+  const priority = rest[rest.length - 1];
+
+  if (!priority || priority.type === 'user' || priority.type === 'channel' || !isWord(rest[rest.length - 2], 'to')) {
+    throw new CommandError('missing_argument', 'What priority? End with "to" and the priority, like "to p2".', USAGE.priority);
+  }
+
+  return {
+    type: 'priority',
+    requestType,
+    featureQuery: requireTitle(rest.slice(0, -2), 'priority'),
+    priority: priority.type === 'quoted' ? priority.value : priority.raw
+  };
+}
+
+// tag [type] "title" #tag [#tag ...]
+function parseTag(args, registry, fallbackType) {
+  const { requestType, args: rest } = takeRequestType(args, registry, fallbackType);
+  const isTag = token => (token.type === 'word' && /^#[A-Za-z][\w-]*$/.test(token.value)) || (token.type === 'channel' && token.name);
+
+  let firstTag = rest.length;
+  while (firstTag > 0 && isTag(rest[firstTag - 1])) {
+    firstTag--;
+  }
+
+  if (firstTag === rest.length) {
+    throw new CommandError('missing_argument', 'Which tags? Add them after the title, like #billing.', USAGE.tag);
+  }
+
+  return {
+    type: 'tag',
+    requestType,
+    featureQuery: requireTitle(rest.slice(0, firstTag), 'tag'),
+    tags: [...new Set(rest.slice(firstTag).map(token => (token.type === 'channel' ? token.name : token.value.substring(1))))]
+  };
+}
+
+// config channel default [type | none], or config notion
+function parseConfig(args) {
+  if (args.length === 1 && isWord(args[0], 'notion')) {
+    return { type: 'config_notion' };
+  }
+
+  if (args.length === 3 && isWord(args[0], 'channel') && isWord(args[1], 'default') && args[2].type === 'word') {
+    return { type: 'config', defaultType: args[2].value.toLowerCase() };
+  }
+
+  throw new CommandError('invalid_argument', 'I can change the channel default type or the Notion settings.', USAGE.config);
+}
+
+// Parse a mention or slash command. The command's type comes from a keyword right after the verb,
+// then fallbackType, then the registry's default. Messages that don't start with a verb save the
+// thread; their type is left to the caller, which looks at the whole message. Pass botUserId for
+// mention text, where only a verb right after a leading mention of the bot counts, so
+// "@alice update the doc @helperbot" saves the thread.
+function parseCommand(text, { registry, fallbackType = null, botUserId = null }) {
+  const head = text.match(/^\s*(?:<@([UW][A-Z0-9]+)(?:\|[^>]*)?>)?\s*([A-Za-z]+)/);
+  const create = { type: 'create', ...parseCaptureTokens(text) };
+
+  if (!head || (botUserId && head[1] !== botUserId)) {
+    return create;
+  }
+
+  const verb = head[2].toLowerCase();
+  const afterVerb = text.substring(head[0].length);
+  const second = afterVerb.match(/^\s+([A-Za-z]+)/);
+  const secondWord = second ? second[1].toLowerCase() : '';
+  const args = () => tokenize(afterVerb, USAGE[verb]);
+
+  // Two-word verbs only count as a whole, so "set up ..." or "start a ..." still save the thread
+  if ((verb === 'stop' || verb === 'start') && secondWord === 'syncing') {
+    return { type: 'sync', enabled: verb === 'start' };
+  }
+
+  if (verb === 'set' && secondWord === 'priority') {
+    return parsePriority(tokenize(afterVerb.substring(second[0].length), USAGE.priority), registry, fallbackType);
+  }
+
+  switch (verb) {
+    case 'help':
+    case 'commands':
+      return { type: 'help' };
+    case 'status':
+      return parseStatus(args(), registry, fallbackType);
+    case 'update':
+      return parseUpdate(args(), registry, fallbackType);
+    case 'assign':
+      return parseAssign(args(), registry, fallbackType);
+    case 'tag':
+      return parseTag(args(), registry, fallbackType);
+    case 'config':
+      return parseConfig(args());
+    case 'search': {
+      const query = joinTokens(args());
+      if (!query) {
+        throw new CommandError('missing_argument', 'What should I search for?', USAGE.search);
+      }
+      return { type: 'search', query };
+    }
+    case 'show':
+    case 'history': {
+      const { requestType, args: titleTokens } = takeRequestType(args(), registry, fallbackType);
+      return { type: verb, requestType, featureQuery: requireTitle(titleTokens, verb) };
+    }
+    default:
+      return create;
+  }
+}
+
+module.exports = { parseCommand, tokenize, CommandError, USAGE, parseCaptureTokens, stripCaptureTokens };
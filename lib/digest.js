@@ -0,0 +1,91 @@
+// Weekly digest text, built from requests already fetched so it can be produced for any week
+
+const { escapeMrkdwn } = require('./text');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Items listed per digest section
+const DIGEST_ITEM_LIMIT = 10;
+
+// Notion returns database IDs with dashes, configuration may not have them
+function isSameNotionId(a, b) {
+  return Boolean(a && b) && a.replace(/-/g, '') === b.replace(/-/g, '');
+}
+
+// One digest line: the request with links to Notion and its thread
+function formatDigestItem({ title, url, slackUrl }, detail) {
+  const thread = slackUrl ? ` (<${slackUrl}|thread>)` : '';
+  return `• <${url}|${escapeMrkdwn(title)}>${thread}${detail ? ` - ${detail}` : ''}`;
+}
+
+// A digest section, capped at DIGEST_ITEM_LIMIT lines
+function formatDigestSection(heading, lines) {
+  if (lines.length === 0) {
+    return `*${heading}:* none`;
+  }
+
+  const shown = lines.slice(0, DIGEST_ITEM_LIMIT);
+  if (lines.length > shown.length) {
+    shown.push(`…and ${lines.length - shown.length} more`);
+  }
+  return `*${heading} (${lines.length}):*\n${shown.join('\n')}`;
+}
+
+// When a request last changed status: its latest entry in the status log, else when it was
+// created if that's within the log's window. null means it hasn't moved for the whole window.
+function getStatusSince(request, statusLog, now, statusLogMs) {
+  let since = null;
+
+  for (const entry of statusLog) {
+    if (entry.at <= now.getTime() && isSameNotionId(entry.pageId, request.id) && (since === null || entry.at > since)) {
+      since = entry.at;
+    }
+  }
+
+  if (since === null) {
+    const created = new Date(request.createdTime).getTime();
+    if (created > now.getTime() - statusLogMs) {
+      since = created;
+    }
+  }
+
+  return since;
+}
+
+// Build the digest text for one request type over the week before `now`. Requests are
+// { id, title, url, slackUrl, status, createdTime }: `created` this week, `open` ones not done
+// and `completed` ones moved to the done status this week. `statusLog` holds the status changes
+// recorded from Slack and Notion for the last `statusLogMs`.
+function buildTypeDigest(typeConfig, { databaseId, created, open, completed, statusLog, now, stuckDays, statusLogMs }) {
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const stuckBefore = now.getTime() - stuckDays * DAY_MS;
+
+  const changes = statusLog.filter(entry =>
+    entry.at >= weekAgo.getTime() && entry.at <= now.getTime() && isSameNotionId(entry.databaseId, databaseId)
+  );
+
+  const stuck = open
+    .map(request => ({ request, since: getStatusSince(request, statusLog, now, statusLogMs) }))
+    .filter(({ since }) => since === null || since < stuckBefore)
+    .sort((a, b) => (a.since ?? -Infinity) - (b.since ?? -Infinity))
+    .map(({ request, since }) => {
+      const days = since === null
+        ? `${Math.floor(statusLogMs / DAY_MS)}+`
+        : Math.floor((now.getTime() - since) / DAY_MS);
+      return formatDigestItem(request, `${request.status} for ${days} days`);
+    });
+
+  const sections = [
+    formatDigestSection('New this week', created.map(request => formatDigestItem(request, request.status))),
+    formatDigestSection('Status changes', changes.map(entry => formatDigestItem(entry, `${entry.from} → ${entry.to}`))),
+    formatDigestSection(`Stuck for ${stuckDays}+ days`, stuck)
+  ];
+
+  if (typeConfig.doneStatus) {
+    sections.push(formatDigestSection(typeConfig.doneStatus, completed.map(request => formatDigestItem(request))));
+  }
+
+  return `📋 *${typeConfig.label} requests: week of ${weekAgo.toISOString().substring(0, 10)}*\n\n${sections.join('\n\n')}`;
+}
+
+module.exports = { buildTypeDigest, getStatusSince, isSameNotionId, DAY_MS };
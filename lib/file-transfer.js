@@ -0,0 +1,103 @@
+const https = require('https');
+
+// Notion API version used for file uploads, same as @notionhq/client
+const NOTION_VERSION = '2022-06-28';
+
+// Headers for following a redirect: credentials only go to the host they were meant for
+function redirectHeaders(headers, fromUrl, toUrl) {
+  if (new URL(fromUrl).host === new URL(toUrl).host) {
+    return headers;
+  }
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'authorization'));
+}
+
+// Minimal HTTPS request returning the raw response body, following a few redirects
+function request(url, { method = 'GET', headers = {}, body } = {}, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers, timeout: 20000 }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        const location = new URL(res.headers.location, url).toString();
+        resolve(request(location, { method, headers: redirectHeaders(headers, url, location), body }, redirects - 1));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks)
+      }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error('File transfer timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Download a private Slack file with the bot token (needs the files:read scope)
+async function downloadSlackFile(url, token) {
+  const response = await request(url, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  // Without access Slack answers with its login page instead of the file
+  if (response.statusCode !== 200 || (response.headers['content-type'] || '').startsWith('text/html')) {
+    throw new Error(`Could not download Slack file (HTTP ${response.statusCode}), check the files:read scope`);
+  }
+
+  return response.body;
+}
+
+// Call a Notion endpoint directly and parse the JSON answer
+async function notionRequest(path, token, options) {
+  const response = await request(`https://api.notion.com/v1/${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Notion-Version': NOTION_VERSION,
+      ...options.headers
+    }
+  });
+  const result = JSON.parse(response.body.toString('utf8'));
+
+  if (response.statusCode >= 400) {
+    throw new Error(`Notion file upload failed: ${result.message || response.statusCode}`);
+  }
+  return result;
+}
+
+// Upload a file with Notion's File Upload API, returning the upload ID to reference from blocks
+async function uploadFileToNotion(token, { filename, contentType, data }) {
+  const upload = await notionRequest('file_uploads', token, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename, content_type: contentType })
+  });
+
+  const boundary = `----helperbot${Date.now().toString(16)}`;
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${filename.replace(/"/g, '')}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`
+    ),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+
+  await notionRequest(`file_uploads/${upload.id}/send`, token, {
+    method: 'POST',
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': body.length
+    },
+    body
+  });
+
+  return upload.id;
+}
+
+module.exports = { downloadSlackFile, uploadFileToNotion, redirectHeaders };
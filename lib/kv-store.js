@@ -0,0 +1,186 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+// Default location of the file store
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.helperbot', 'store.json');
+
+// In-process store, only useful for tests and single long-running servers
+function createMemoryStore() {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key)) {
+        return false;
+      }
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return true;
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// JSON file store for local development; every call re-reads the file so restarts keep state
+function createFileStore(filePath) {
+  function load() {
+    let entries = {};
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Drop expired entries while we're here
+    const now = Date.now();
+    for (const key of Object.keys(entries)) {
+      if (entries[key].expiresAt && entries[key].expiresAt <= now) {
+        delete entries[key];
+      }
+    }
+    return entries;
+  }
+
+  function save(entries) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(entries));
+  }
+
+  return {
+    async get(key) {
+      const entry = load()[key];
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlMs) {
+      const entries = load();
+      entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      save(entries);
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const entries = load();
+      if (entries[key]) {
+        return false;
+      }
+      entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      save(entries);
+      return true;
+    },
+    async delete(key) {
+      const entries = load();
+      delete entries[key];
+      save(entries);
+    }
+  };
+}
+
+// Redis over the Upstash REST API (also what Vercel KV exposes), shared by every invocation
+function createRedisStore(url, token) {
+  function command(args) {
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 5000
+      }, (response) => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => {
+          try {
+            const parsed = JSON.parse(body);
+            if (parsed.error) {
+              reject(new Error(`Redis error: ${parsed.error}`));
+            } else {
+              resolve(parsed.result);
+            }
+          } catch (error) {
+            reject(new Error(`Invalid Redis response (HTTP ${response.statusCode})`));
+          }
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error('Redis request timed out')));
+      request.on('error', reject);
+      request.end(JSON.stringify(args));
+    });
+  }
+
+  function setArgs(key, value, ttlMs) {
+    const args = ['SET', key, JSON.stringify(value)];
+    if (ttlMs) {
+      args.push('PX', String(ttlMs));
+    }
+    return args;
+  }
+
+  return {
+    async get(key) {
+      const result = await command(['GET', key]);
+      return result === null ? null : JSON.parse(result);
+    },
+    async set(key, value, ttlMs) {
+      await command(setArgs(key, value, ttlMs));
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const result = await command([...setArgs(key, value, ttlMs), 'NX']);
+      return result === 'OK';
+    },
+    async delete(key) {
+      await command(['DEL', key]);
+    }
+  };
+}
+
+// Pick a backend from HELPERBOT_STORE (memory, file or redis), defaulting to redis when configured
+function createKeyValueStore(env = process.env) {
+  const redisUrl = env.UPSTASH_REDIS_REST_URL || env.KV_REST_API_URL;
+  const redisToken = env.UPSTASH_REDIS_REST_TOKEN || env.KV_REST_API_TOKEN;
+  const backend = env.HELPERBOT_STORE || (redisUrl ? 'redis' : 'file');
+
+  // Vercel's file system is read-only, so a file store there would fail on every write and
+  // quietly switch off de-duplication, thread sync and installations
+  if (env.VERCEL && backend === 'file') {
+    throw new Error('HelperBot needs Redis on Vercel: set UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN (or connect Vercel KV)');
+  }
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+
+    case 'file':
+      return createFileStore(env.HELPERBOT_STORE_PATH ? path.resolve(env.HELPERBOT_STORE_PATH) : DEFAULT_FILE_PATH);
+
+    case 'redis':
+      if (!redisUrl || !redisToken) {
+        throw new Error('The redis store needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+      }
+      return createRedisStore(redisUrl, redisToken);
+
+    default:
+      throw new Error(`Unknown HELPERBOT_STORE backend: ${backend}`);
+  }
+}
+
+module.exports = { createKeyValueStore };
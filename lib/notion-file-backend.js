@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// A fake of the parts of the Notion API HelperBot uses: databases, pages, blocks, comments and
+// users, kept in one JSON file. Pages come back in Notion's response shape so the rest of the bot
+// can't tell the difference, which means new Notion filter conditions or property types used by
+// the bot have to be added here too. The file is re-read on every call, like the file key-value
+// store, so restarts keep their requests.
+
+// Who every change in the file is made by
+const LOCAL_USER = { object: 'user', id: 'local-user', type: 'bot', name: 'HelperBot (local)' };
+
+// Property types whose values are stored as-is
+const PLAIN_PROPERTY_TYPES = ['url', 'number', 'date', 'checkbox', 'email', 'phone_number'];
+
+// Errors look like the Notion client's, so callers can check `code`
+function notionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Properties of a request database: the ones HelperBot reads and writes, with the type's statuses
+function buildSchema(statuses) {
+  const properties = {
+    Title: { type: 'title', title: {} },
+    Status: { type: 'select', select: { options: statuses.map(name => ({ name })) } },
+    'Slack URL': { type: 'url', url: {} },
+    'Date Created': { type: 'date', date: {} },
+    'Requester Slack ID': { type: 'rich_text', rich_text: {} },
+    Requester: { type: 'people', people: {} },
+    Owner: { type: 'people', people: {} },
+    Priority: { type: 'select', select: { options: ['P1', 'P2', 'P3', 'P4'].map(name => ({ name })) } },
+    Tags: { type: 'multi_select', multi_select: { options: [] } },
+    Votes: { type: 'number', number: {} },
+    Voters: { type: 'rich_text', rich_text: {} }
+  };
+
+  for (const [name, definition] of Object.entries(properties)) {
+    definition.id = name;
+    definition.name = name;
+  }
+  return properties;
+}
+
+// Rich text as Notion returns it, from the { text: { content } } form it accepts
+function toRichText(items) {
+  return (items || []).map(item => {
+    const content = item.text?.content ?? item.plain_text ?? '';
+    const link = item.text?.link || null;
+    return {
+      type: 'text',
+      text: { content, link },
+      annotations: item.annotations || {},
+      plain_text: content,
+      href: link ? link.url : null
+    };
+  });
+}
+
+// A block's content as Notion returns it: its text and caption get plain_text like property values
+function readBlockContent(content) {
+  const block = { ...content };
+  for (const field of ['rich_text', 'caption']) {
+    if (block[field]) {
+      block[field] = toRichText(block[field]);
+    }
+  }
+  return block;
+}
+
+// A property value as Notion returns it
+function readProperty(name, definition, value) {
+  const type = definition.type;
+  const property = { id: definition.id || name, type };
+
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      property[type] = toRichText(value?.[type]);
+      break;
+    case 'select':
+      property.select = value?.select ? { name: value.select.name } : null;
+      break;
+    case 'multi_select':
+      property.multi_select = (value?.multi_select || []).map(option => ({ name: option.name }));
+      break;
+    case 'people':
+      property.people = (value?.people || []).map(person => ({ object: 'user', id: person.id }));
+      break;
+    default:
+      property[type] = value?.[type] ?? null;
+  }
+
+  return property;
+}
+
+// The property type a written value is for, when the database doesn't define it
+function inferPropertyType(value) {
+  return ['title', 'rich_text', 'select', 'multi_select', 'people', ...PLAIN_PROPERTY_TYPES].find(type => type in value);
+}
+
+// Plain value of a property for filters and sorts
+function plainValue(property) {
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map(item => item.plain_text).join('');
+    case 'select':
+      return property.select ? property.select.name : null;
+    case 'multi_select':
+      return property.multi_select.map(option => option.name);
+    case 'people':
+      return property.people.map(person => person.id);
+    case 'date':
+      return property.date ? property.date.start : null;
+    default:
+      return property[property.type];
+  }
+}
+
+// Whether a plain value meets one filter condition, e.g. { contains: 'csv' }
+function meetsCondition(value, condition) {
+  const [operator, operand] = Object.entries(condition)[0];
+  const isList = Array.isArray(value);
+  const text = typeof value === 'string' ? value.toLowerCase() : value;
+  const operandText = typeof operand === 'string' ? operand.toLowerCase() : operand;
+
+  switch (operator) {
+    case 'equals':
+      return value === operand;
+    case 'does_not_equal':
+      return value !== operand;
+    case 'contains':
+      return isList ? value.includes(operand) : String(text || '').includes(operandText);
+    case 'does_not_contain':
+      return isList ? !value.includes(operand) : !String(text || '').includes(operandText);
+    case 'starts_with':
+      return String(text || '').startsWith(operandText);
+    case 'ends_with':
+      return String(text || '').endsWith(operandText);
+    case 'is_empty':
+      return isList ? value.length === 0 : value === null || value === '';
+    case 'is_not_empty':
+      return isList ? value.length > 0 : value !== null && value !== '';
+    case 'greater_than':
+      return value !== null && value > operand;
+    case 'less_than':
+      return value !== null && value < operand;
+    case 'on_or_after':
+      return value !== null && Date.parse(value) >= Date.parse(operand);
+    case 'on_or_before':
+      return value !== null && Date.parse(value) <= Date.parse(operand);
+    case 'after':
+      return value !== null && Date.parse(value) > Date.parse(operand);
+    case 'before':
+      return value !== null && Date.parse(value) < Date.parse(operand);
+    default:
+      throw notionError('validation_error', `Unsupported filter condition "${operator}" in the file backend`);
+  }
+}
+
+// Whether a page matches a database query filter (and/or, property and timestamp filters)
+function matchesFilter(page, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (filter.and) {
+    return filter.and.every(part => matchesFilter(page, part));
+  }
+  if (filter.or) {
+    return filter.or.some(part => matchesFilter(page, part));
+  }
+  if (filter.timestamp) {
+    return meetsCondition(page[filter.timestamp], filter[filter.timestamp]);
+  }
+
+  const property = page.properties[filter.property];
+  if (!property) {
+    throw notionError('validation_error', `Could not find property with name or id: ${filter.property}`);
+  }
+
+  const conditionKey = Object.keys(filter).find(key => key !== 'property');
+  return meetsCondition(plainValue(property), filter[conditionKey]);
+}
+
+// Compare two pages by a list of Notion sorts
+function comparePages(a, b, sorts) {
+  for (const sort of sorts) {
+    const valueA = sort.timestamp ? a[sort.timestamp] : plainValue(a.properties[sort.property] || { type: 'number', number: null });
+    const valueB = sort.timestamp ? b[sort.timestamp] : plainValue(b.properties[sort.property] || { type: 'number', number: null });
+
+    if (valueA === valueB) continue;
+    // Empty values go last either way, like in Notion
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+
+    const order = valueA < valueB ? -1 : 1;
+    return sort.direction === 'descending' ? -order : order;
+  }
+  return 0;
+}
+
+// One page of a list, with Notion's cursor fields; cursors are offsets
+function paginate(items, startCursor, pageSize = 100) {
+  const start = startCursor ? parseInt(startCursor, 10) : 0;
+  const end = start + Math.min(pageSize || 100, 100);
+  return {
+    object: 'list',
+    results: items.slice(start, end),
+    has_more: end < items.length,
+    next_cursor: end < items.length ? String(end) : null
+  };
+}
+
+// Notion client look-alike over a JSON file. `databases` lists the request databases to create
+// on first use: [{ id, title, statuses }]
+function createFileNotionClient(filePath, databases = []) {
+  function load() {
+    let data = {};
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    data.databases = data.databases || {};
+    data.pages = data.pages || {};
+    data.blocks = data.blocks || {};
+    data.children = data.children || {};
+    data.comments = data.comments || {};
+
+    // Request types added since the file was written get their database too
+    for (const database of databases) {
+      if (!data.databases[database.id]) {
+        data.databases[database.id] = {
+          object: 'database',
+          id: database.id,
+          title: [{ type: 'text', text: { content: database.title }, plain_text: database.title }],
+          properties: buildSchema(database.statuses)
+        };
+      }
+    }
+    return data;
+  }
+
+  function save(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  }
+
+  function getDatabase(data, databaseId) {
+    const database = data.databases[databaseId];
+    if (!database) {
+      throw notionError('object_not_found', `Could not find database with ID: ${databaseId}`);
+    }
+    return database;
+  }
+
+  function getPage(data, pageId) {
+    const page = data.pages[pageId];
+    if (!page || page.archived) {
+      throw notionError('object_not_found', `Could not find page with ID: ${pageId}`);
+    }
+    return page;
+  }
+
+  // Write properties onto a page, checking them against its database like Notion does
+  function writeProperties(data, page, properties) {
+    const schema = getDatabase(data, page.parent.database_id).properties;
+
+    for (const [name, value] of Object.entries(properties || {})) {
+      if (!schema[name]) {
+        const type = inferPropertyType(value);
+        if (!type) {
+          throw notionError('validation_error', `${name} is not a property that exists`);
+        }
+        schema[name] = { id: name, name, type, [type]: {} };
+      }
+
+      const definition = schema[name];
+
+      // Unknown select options are added to the database, as Notion does
+      const chosen = definition.type === 'select' && value.select ? [value.select] : definition.type === 'multi_select' ? value.multi_select || [] : [];
+      for (const option of chosen) {
+        const options = definition[definition.type].options;
+        if (!options.some(existing => existing.name === option.name)) {
+          options.push({ name: option.name });
+        }
+      }
+
+      page.properties[name] = readProperty(name, definition, value);
+    }
+
+    page.last_edited_time = new Date().toISOString();
+    page.last_edited_by = { object: 'user', id: LOCAL_USER.id };
+  }
+
+  // Store blocks under a parent, after a given child or at the end; nested children come along
+  function appendChildren(data, parentId, children, after) {
+    const list = data.children[parentId] || [];
+    const created = [];
+
+    for (const child of children || []) {
+      const id = crypto.randomUUID();
+      const { children: nested, ...content } = child[child.type] || {};
+      const block = {
+        object: 'block',
+        id,
+        parent: { type: 'block_id', block_id: parentId },
+        type: child.type,
+        [child.type]: readBlockContent(content),
+        has_children: Boolean(nested && nested.length),
+        created_time: new Date().toISOString(),
+        archived: false
+      };
+
+      data.blocks[id] = block;
+      created.push(block);
+
+      if (nested && nested.length) {
+        appendChildren(data, id, nested);
+      }
+    }
+
+    const position = after ? list.indexOf(after) + 1 : list.length;
+    list.splice(position > 0 ? position : list.length, 0, ...created.map(block => block.id));
+    data.children[parentId] = list;
+    return created;
+  }
+
+  return {
+    databases: {
+      async retrieve({ database_id }) {
+        return getDatabase(load(), database_id);
+      },
+
+      async query({ database_id, filter, sorts, start_cursor, page_size }) {
+        const data = load();
+        getDatabase(data, database_id);
+
+        const pages = Object.values(data.pages)
+          .filter(page => !page.archived && page.parent.database_id === database_id)
+          .filter(page => matchesFilter(page, filter))
+          .sort((a, b) => comparePages(a, b, sorts && sorts.length ? sorts : [{ timestamp: 'created_time', direction: 'descending' }]));
+
+        return paginate(pages, start_cursor, page_size);
+      }
+    },
+
+    pages: {
+      async create({ parent, properties, children }) {
+        const data = load();
+        const database = getDatabase(data, parent.database_id);
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        const page = {
+          object: 'page',
+          id,
+          created_time: now,
+          last_edited_time: now,
+          created_by: { object: 'user', id: LOCAL_USER.id },
+          last_edited_by: { object: 'user', id: LOCAL_USER.id },
+          parent: { type: 'database_id', database_id: database.id },
+          archived: false,
+          properties: {},
+          url: `file://${filePath}#${id}`
+        };
+
+        for (const [name, definition] of Object.entries(database.properties)) {
+          page.properties[name] = readProperty(name, definition, null);
+        }
+        writeProperties(data, page, properties);
+
+        data.pages[id] = page;
+        appendChildren(data, id, children);
+        save(data);
+        return page;
+      },
+
+      async retrieve({ page_id }) {
+        return getPage(load(), page_id);
+      },
+
+      async update({ page_id, properties, archived }) {
+        const data = load();
+        const page = getPage(data, page_id);
+
+        writeProperties(data, page, properties);
+        if (archived !== undefined) {
+          page.archived = archived;
+        }
+
+        save(data);
+        return page;
+      }
+    },
+
+    blocks: {
+      children: {
+        async list({ block_id, start_cursor, page_size }) {
+          const data = load();
+          const blocks = (data.children[block_id] || []).map(id => data.blocks[id]);
+          return paginate(blocks, start_cursor, page_size);
+        },
+
+        async append({ block_id, children, after }) {
+          const data = load();
+          const created = appendChildren(data, block_id, children, after);
+          save(data);
+          return { object: 'list', results: created, has_more: false, next_cursor: null };
+        }
+      },
+
+      async update({ block_id, ...changes }) {
+        const data = load();
+        const block = data.blocks[block_id];
+
+        if (!block) {
+          throw notionError('object_not_found', `Could not find block with ID: ${block_id}`);
+        }
+
+        if (changes[block.type]) {
+          block[block.type] = readBlockContent({ ...block[block.type], ...changes[block.type] });
+        }
+        save(data);
+        return block;
+      },
+
+      async delete({ block_id }) {
+        const data = load();
+        const block = data.blocks[block_id];
+
+        if (!block) {
+          throw notionError('object_not_found', `Could not find block with ID: ${block_id}`);
+        }
+
+        block.archived = true;
+        const siblings = data.children[block.parent.block_id] || [];
+        data.children[block.parent.block_id] = siblings.filter(id => id !== block_id);
+        save(data);
+        return block;
+      }
+    },
+
+    comments: {
+      async create({ parent, rich_text }) {
+        const data = load();
+        getPage(data, parent.page_id);
+
+        const comment = {
+          object: 'comment',
+          id: crypto.randomUUID(),
+          parent: { type: 'page_id', page_id: parent.page_id },
+          created_time: new Date().toISOString(),
+          created_by: { object: 'user', id: LOCAL_USER.id },
+          rich_text: toRichText(rich_text)
+        };
+
+        data.comments[parent.page_id] = (data.comments[parent.page_id] || []).concat(comment);
+        save(data);
+        return comment;
+      },
+
+      async list({ block_id, start_cursor, page_size }) {
+        return paginate(load().comments[block_id] || [], start_cursor, page_size);
+      }
+    },
+
+    users: {
+      // Nobody in the file has an email, so Slack users are never matched to people
+      async list() {
+        return { object: 'list', results: [], has_more: false, next_cursor: null };
+      },
+
+      async retrieve({ user_id }) {
+        if (user_id !== LOCAL_USER.id) {
+          throw notionError('object_not_found', `Could not find user with ID: ${user_id}`);
+        }
+        return LOCAL_USER;
+      }
+    }
+  };
+}
+
+module.exports = { createFileNotionClient };
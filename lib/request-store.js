@@ -0,0 +1,163 @@
+const path = require('path');
+const { Client } = require('@notionhq/client');
+const { createFileNotionClient } = require('./notion-file-backend');
+
+// Default location of the file backend
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.helperbot', 'requests.json');
+
+// Pick where requests live from HELPERBOT_REQUEST_BACKEND: notion (the default) or file, a JSON
+// file that answers the same API calls so the bot runs without a Notion workspace. `databases`
+// lists the request databases the file backend creates: [{ id, title, statuses }]
+function createRequestClient(env = process.env, { timeoutMs, databases }) {
+  const backend = env.HELPERBOT_REQUEST_BACKEND || 'notion';
+
+  switch (backend) {
+    case 'notion':
+      return new Client({ auth: env.NOTION_API_KEY, timeoutMs });
+
+    case 'file':
+      return createFileNotionClient(
+        env.HELPERBOT_REQUESTS_PATH ? path.resolve(env.HELPERBOT_REQUESTS_PATH) : DEFAULT_FILE_PATH,
+        databases
+      );
+
+    default:
+      throw new Error(`Unknown HELPERBOT_REQUEST_BACKEND: ${backend}`);
+  }
+}
+
+// The Notion calls HelperBot makes about requests, gathered in one place: request pages, their
+// content blocks, status history comments and the people who can own them. This is a thin layer
+// over the Notion API, not a backend-neutral model: filters, sorts, properties and results are
+// Notion's JSON, and the file backend is a fake of the same API. File uploads go to Notion
+// directly and are skipped offline.
+function createRequestStore(client) {
+  return {
+    // A request database, with its property schema
+    async getDatabase(databaseId) {
+      return client.databases.retrieve({ database_id: databaseId });
+    },
+
+    // Save a new request; Notion takes at most 100 children here, append the rest afterwards
+    async create(databaseId, properties, children = []) {
+      return client.pages.create({
+        parent: { database_id: databaseId },
+        properties: properties,
+        children: children
+      });
+    },
+
+    async get(pageId) {
+      return client.pages.retrieve({ page_id: pageId });
+    },
+
+    // Requests whose title contains the text ignoring case, or with `exact` is exactly the text
+    async findByTitle(databaseId, text, { exact = false, limit = 5 } = {}) {
+      const response = await client.databases.query({
+        database_id: databaseId,
+        filter: { property: 'Title', rich_text: exact ? { equals: text } : { contains: text } },
+        page_size: limit
+      });
+      return response.results;
+    },
+
+    // The request saved from a Slack thread, or null
+    async findByUrl(databaseId, url) {
+      const response = await client.databases.query({
+        database_id: databaseId,
+        filter: { property: 'Slack URL', url: { equals: url } },
+        page_size: 1
+      });
+      return response.results[0] || null;
+    },
+
+    // Write some of a request's properties, leaving the rest as they are
+    async update(pageId, properties) {
+      return client.pages.update({
+        page_id: pageId,
+        properties: properties
+      });
+    },
+
+    async updateStatus(pageId, status) {
+      return client.pages.update({
+        page_id: pageId,
+        properties: { Status: { select: { name: status } } }
+      });
+    },
+
+    // One page of requests: { results, has_more, next_cursor }
+    async list(databaseId, { filter, sorts, pageSize = 100, cursor } = {}) {
+      return client.databases.query({
+        database_id: databaseId,
+        ...(filter ? { filter } : {}),
+        ...(sorts ? { sorts } : {}),
+        page_size: pageSize,
+        ...(cursor ? { start_cursor: cursor } : {})
+      });
+    },
+
+    // One page of a request's content blocks
+    async listContent(pageId, { pageSize = 100, cursor } = {}) {
+      return client.blocks.children.list({
+        block_id: pageId,
+        page_size: pageSize,
+        ...(cursor ? { start_cursor: cursor } : {})
+      });
+    },
+
+    // Add up to 100 blocks to a request's content, at the end or after a given block. Returns the
+    // new blocks.
+    async appendContent(pageId, blocks, { after } = {}) {
+      const response = await client.blocks.children.append({
+        block_id: pageId,
+        children: blocks,
+        ...(after ? { after } : {})
+      });
+      return response.results;
+    },
+
+    // Replace a content block's text, keeping its type
+    async updateBlock(blockId, block) {
+      return client.blocks.update({
+        block_id: blockId,
+        [block.type]: block[block.type]
+      });
+    },
+
+    async deleteBlock(blockId) {
+      return client.blocks.delete({ block_id: blockId });
+    },
+
+    // Leave a plain text comment on a request
+    async addComment(pageId, text) {
+      return client.comments.create({
+        parent: { page_id: pageId },
+        rich_text: [{ type: 'text', text: { content: text } }]
+      });
+    },
+
+    // One page of a request's comments, oldest first
+    async listComments(pageId, { pageSize = 100, cursor } = {}) {
+      return client.comments.list({
+        block_id: pageId,
+        page_size: pageSize,
+        ...(cursor ? { start_cursor: cursor } : {})
+      });
+    },
+
+    // One page of the people who can own requests
+    async listPeople({ pageSize = 100, cursor } = {}) {
+      return client.users.list({
+        page_size: pageSize,
+        ...(cursor ? { start_cursor: cursor } : {})
+      });
+    },
+
+    async getPerson(userId) {
+      return client.users.retrieve({ user_id: userId });
+    }
+  };
+}
+
+module.exports = { createRequestClient, createRequestStore };
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeRegExp } = require('./text');
+
+// Default location of the request type registry
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'request-types.json');
+
+// Read the raw registry from HELPERBOT_REQUEST_TYPES (JSON), HELPERBOT_CONFIG_PATH or request-types.json
+function readRawConfig() {
+  if (process.env.HELPERBOT_REQUEST_TYPES) {
+    return JSON.parse(process.env.HELPERBOT_REQUEST_TYPES);
+  }
+
+  const configPath = process.env.HELPERBOT_CONFIG_PATH
+    ? path.resolve(process.env.HELPERBOT_CONFIG_PATH)
+    : DEFAULT_CONFIG_PATH;
+
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+// Validate a single request type entry and fill in defaults
+function normalizeType(entry) {
+  if (!entry || !entry.key) {
+    throw new Error('Every request type needs a "key"');
+  }
+
+  const key = entry.key.toLowerCase();
+
+  if (!Array.isArray(entry.statuses) || entry.statuses.length === 0) {
+    throw new Error(`Request type "${key}" needs a non-empty "statuses" list`);
+  }
+
+  const initialStatus = entry.initialStatus || entry.statuses[0];
+  const doneStatus = entry.doneStatus || null;
+
+  for (const status of [initialStatus, doneStatus]) {
+    if (status && !entry.statuses.includes(status)) {
+      throw new Error(`Request type "${key}" uses status "${status}" which is not in its statuses list`);
+    }
+  }
+
+  const keywords = (entry.keywords || [key]).map(keyword => keyword.toLowerCase());
+
+  return {
+    key,
+    label: entry.label || key.charAt(0).toUpperCase() + key.slice(1),
+    databaseId: entry.databaseId || (entry.databaseIdEnv ? process.env[entry.databaseIdEnv] : undefined),
+    keywords,
+    // Keywords only count as whole words, extra patterns are matched as-is
+    patterns: [
+      ...keywords.map(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`)),
+      ...(entry.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+    ],
+    titleRules: (entry.titleRules || []).map(rule => ({
+      pattern: new RegExp(rule.pattern, 'i'),
+      title: rule.title
+    })),
+    statuses: entry.statuses,
+    initialStatus,
+    doneStatus,
+    // Reactions that save a thread as this type, without colons
+    captureReactions: [].concat(entry.captureReaction || []).map(name => name.replace(/:/g, '')),
+    // Slack users and user groups allowed to change statuses, null when anyone may
+    statusEditors: entry.statusEditors
+      ? { users: entry.statusEditors.users || [], usergroups: entry.statusEditors.usergroups || [] }
+      : null
+  };
+}
+
+// Load and validate the request type registry
+function loadRequestTypes() {
+  const raw = readRawConfig();
+  const entries = Array.isArray(raw) ? raw : raw.types;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Request type registry must define at least one type');
+  }
+
+  const types = entries.map(normalizeType);
+  const byKey = new Map();
+
+  const byReaction = new Map();
+
+  for (const type of types) {
+    if (byKey.has(type.key)) {
+      throw new Error(`Request type "${type.key}" is defined more than once`);
+    }
+    byKey.set(type.key, type);
+
+    for (const reaction of type.captureReactions) {
+      if (byReaction.has(reaction)) {
+        throw new Error(`Capture reaction "${reaction}" is used by more than one request type`);
+      }
+      byReaction.set(reaction, type.key);
+    }
+  }
+
+  const defaultType = (raw.defaultType || types[0].key).toLowerCase();
+
+  if (!byKey.has(defaultType)) {
+    throw new Error(`Default request type "${defaultType}" is not defined`);
+  }
+
+  // Channel ID -> request types that may be created there; unlisted channels allow every type
+  const channelTypes = new Map();
+
+  for (const [channel, keys] of Object.entries(raw.channels || {})) {
+    const normalized = [].concat(keys).map(key => key.toLowerCase());
+    const unknown = normalized.find(key => !byKey.has(key));
+    if (unknown) {
+      throw new Error(`Channel ${channel} allows unknown request type "${unknown}"`);
+    }
+    channelTypes.set(channel, normalized);
+  }
+
+  // First non-default type whose keywords or patterns match the text. The default type's own
+  // keywords only count with includeDefault, e.g. to override a channel's default type.
+  function detect(text, includeDefault = false) {
+    const lowerText = (text || '').toLowerCase();
+    const matches = type => type.patterns.some(pattern => pattern.test(lowerText));
+    const match = types.find(type => type.key !== defaultType && matches(type));
+
+    if (match) {
+      return match.key;
+    }
+    return includeDefault && matches(byKey.get(defaultType)) ? defaultType : null;
+  }
+
+  return {
+    types,
+    defaultType,
+
+    get(key) {
+      return byKey.get((key || '').toLowerCase());
+    },
+
+    detect,
+
+    // The type a message names, else fallbackType (which may be null). With a fallback in play,
+    // naming the default type counts too, so "feature request" wins over a BD channel default.
+    detectOver(text, fallbackType) {
+      return detect(text, Boolean(fallbackType)) || fallbackType;
+    },
+
+    // Type saved by a reaction, ignoring skin tones ("+1::skin-tone-2")
+    fromReaction(name) {
+      return byReaction.get((name || '').split('::')[0]) || null;
+    },
+
+    // Request types that may be created in a channel
+    allowedTypes(channel) {
+      return channelTypes.get(channel) || types.map(type => type.key);
+    }
+  };
+}
+
+module.exports = { loadRequestTypes };
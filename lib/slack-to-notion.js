@@ -0,0 +1,212 @@
+const emoji = require('node-emoji');
+
+// Notion caps a rich text object at 2,000 characters and a block at 100 rich text objects
+const TEXT_LIMIT = 2000;
+const RICH_TEXT_LIMIT = 100;
+
+// Inline mrkdwn: entities, inline code, then bold, italic and strikethrough at word boundaries
+const INLINE_PATTERN = /<([^>\n]+)>|`([^`\n]+)`|(?<![\w*])\*(?!\s)([^*\n]+?)\*(?![\w*])|(?<![\w_])_(?!\s)([^_\n]+?)_(?![\w_])|(?<![\w~])~(?!\s)([^~\n]+?)~(?![\w~])/g;
+
+// Slack escapes these three characters in message text
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Turn :shortcodes: into emoji, leaving custom workspace emoji as they are
+function emojify(text) {
+  return emoji.emojify(text.replace(/:skin-tone-\d:/g, ''), name => `:${name}:`);
+}
+
+// Collect the user and channel IDs a set of messages mention, so they can be resolved up front
+function collectMentionIds(texts) {
+  const users = new Set();
+  const channels = new Set();
+
+  for (const text of texts) {
+    for (const match of (text || '').matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+      users.add(match[1]);
+    }
+    for (const match of (text || '').matchAll(/<#(C[A-Z0-9]+)>/g)) {
+      channels.add(match[1]);
+    }
+  }
+
+  return { users: [...users], channels: [...channels] };
+}
+
+// Render a Slack entity like <@U123>, <#C123|general> or <https://x|label> as a text segment
+function convertEntity(entity, names, annotations) {
+  const [target, label] = entity.split('|');
+
+  if (target.startsWith('@')) {
+    const name = names.users[target.substring(1)] || label || target.substring(1);
+    return { text: `@${name}`, annotations };
+  }
+
+  if (target.startsWith('#')) {
+    const name = label || names.channels[target.substring(1)] || target.substring(1);
+    return { text: `#${name}`, annotations };
+  }
+
+  if (target.startsWith('!')) {
+    // <!here>, <!channel>, <!subteam^S123|@team>, <!date^...|fallback>
+    return { text: label || `@${target.substring(1).split('^')[0]}`, annotations };
+  }
+
+  const url = decodeEntities(target);
+  const text = label ? decodeEntities(label) : url.replace(/^mailto:/, '');
+  return /^(https?|mailto):/.test(url) ? { text, link: url, annotations } : { text, annotations };
+}
+
+// Split inline mrkdwn into plain segments with Notion annotations
+function parseInline(text, names, annotations = {}) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: emojify(decodeEntities(text.substring(lastIndex, match.index))), annotations });
+    }
+
+    const [, entity, code, bold, italic, strikethrough] = match;
+
+    if (entity) {
+      segments.push(convertEntity(entity, names, annotations));
+    } else if (code) {
+      segments.push({ text: decodeEntities(code), annotations: { ...annotations, code: true } });
+    } else if (bold) {
+      segments.push(...parseInline(bold, names, { ...annotations, bold: true }));
+    } else if (italic) {
+      segments.push(...parseInline(italic, names, { ...annotations, italic: true }));
+    } else {
+      segments.push(...parseInline(strikethrough, names, { ...annotations, strikethrough: true }));
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: emojify(decodeEntities(text.substring(lastIndex))), annotations });
+  }
+
+  return segments;
+}
+
+// Turn segments into Notion rich text, splitting anything over the per-object limit
+function toRichText(segments) {
+  const richText = [];
+
+  for (const segment of segments) {
+    for (let start = 0; start < segment.text.length; start += TEXT_LIMIT) {
+      const item = {
+        type: 'text',
+        text: { content: segment.text.substring(start, start + TEXT_LIMIT) }
+      };
+      if (segment.link) {
+        item.text.link = { url: segment.link };
+      }
+      if (segment.annotations && Object.keys(segment.annotations).length > 0) {
+        item.annotations = segment.annotations;
+      }
+      richText.push(item);
+    }
+  }
+
+  return richText;
+}
+
+// Build one or more blocks of a type, starting a new block whenever rich text runs over the limit
+function buildBlocks(type, richText, extra = {}) {
+  const blocks = [];
+
+  for (let start = 0; start < Math.max(richText.length, 1); start += RICH_TEXT_LIMIT) {
+    blocks.push({
+      object: 'block',
+      type,
+      [type]: { rich_text: richText.slice(start, start + RICH_TEXT_LIMIT), ...extra }
+    });
+  }
+
+  return blocks;
+}
+
+// Split a message into paragraph, quote and code parts
+function splitParts(text) {
+  const parts = [];
+  const fencePattern = /```([\s\S]*?)```/g;
+  let lastIndex = 0;
+
+  function pushText(chunk) {
+    let quote = null;
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.join('\n').trim()) {
+        parts.push({ type: 'paragraph', text: paragraph.join('\n').replace(/^\n+|\n+$/g, '') });
+      }
+      paragraph = [];
+    };
+
+    for (const line of chunk.split('\n')) {
+      const quoteMatch = line.match(/^&gt;\s?(.*)$/);
+      if (quoteMatch) {
+        flushParagraph();
+        quote = quote || { type: 'quote', lines: [] };
+        quote.lines.push(quoteMatch[1]);
+      } else {
+        if (quote) {
+          parts.push({ type: 'quote', text: quote.lines.join('\n') });
+          quote = null;
+        }
+        paragraph.push(line);
+      }
+    }
+
+    if (quote) {
+      parts.push({ type: 'quote', text: quote.lines.join('\n') });
+    }
+    flushParagraph();
+  }
+
+  for (const match of text.matchAll(fencePattern)) {
+    pushText(text.substring(lastIndex, match.index));
+    parts.push({ type: 'code', text: decodeEntities(match[1].replace(/^\n|\n$/g, '')) });
+    lastIndex = match.index + match[0].length;
+  }
+  pushText(text.substring(lastIndex));
+
+  return parts;
+}
+
+// Convert one Slack message into Notion blocks. The first block is always a paragraph that
+// starts with the author and time, so it can be found and updated when the message is edited.
+function convertMessage({ author, timestamp, text, names, prefix }) {
+  const header = [
+    { text: `${prefix || ''}${author}`, annotations: { bold: true } },
+    { text: ` · ${timestamp}`, annotations: { color: 'gray' } }
+  ];
+  const parts = splitParts(text || '');
+  const blocks = [];
+
+  // The message's leading paragraph shares a block with the header
+  const leading = parts[0] && parts[0].type === 'paragraph' ? parts.shift() : null;
+  const leadingSegments = leading ? [{ text: '\n' }, ...parseInline(leading.text, names)] : [];
+  blocks.push(...buildBlocks('paragraph', toRichText([...header, ...leadingSegments])));
+
+  for (const part of parts) {
+    if (part.type === 'code') {
+      blocks.push(...buildBlocks('code', toRichText([{ text: part.text }]), { language: 'plain text' }));
+    } else {
+      blocks.push(...buildBlocks(part.type, toRichText(parseInline(part.text, names))));
+    }
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  collectMentionIds,
+  convertMessage,
+  parseInline,
+  toRichText
+};
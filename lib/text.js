@@ -0,0 +1,13 @@
+// Escaping helpers shared by the bot and its lib modules
+
+// Escape text for use inside Slack mrkdwn
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Escape text for use inside a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { escapeMrkdwn, escapeRegExp };
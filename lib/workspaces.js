@@ -0,0 +1,75 @@
+// Per-workspace records for multi-workspace installs, kept in the key-value store:
+//   installation:<team or enterprise ID>  Slack OAuth installation (bot token etc.)
+//   installations                         IDs of every installed workspace, for cron jobs
+//   workspace:<team ID>                   HelperBot settings:
+//                                         { notionToken, databases: { <type>: <id> }, digestChannel }
+
+// Key an installation by its enterprise for org-wide installs, otherwise by its team
+function installationId({ isEnterpriseInstall, enterpriseId, teamId }) {
+  return isEnterpriseInstall && enterpriseId ? enterpriseId : teamId;
+}
+
+// Bolt installation store on top of the key-value store
+function createInstallationStore(store) {
+  async function updateIndex(id, installed) {
+    const ids = new Set((await store.get('installations')) || []);
+    if (installed) {
+      ids.add(id);
+    } else {
+      ids.delete(id);
+    }
+    await store.set('installations', [...ids]);
+  }
+
+  return {
+    async storeInstallation(installation) {
+      const id = installationId({
+        isEnterpriseInstall: installation.isEnterpriseInstall,
+        enterpriseId: installation.enterprise?.id,
+        teamId: installation.team?.id
+      });
+
+      if (!id) {
+        throw new Error('Installation has neither a team nor an enterprise ID');
+      }
+
+      await store.set(`installation:${id}`, installation);
+      await updateIndex(id, true);
+    },
+
+    async fetchInstallation(query) {
+      const installation = await store.get(`installation:${installationId(query)}`);
+
+      if (!installation) {
+        throw new Error(`No installation found for ${installationId(query)}`);
+      }
+      return installation;
+    },
+
+    async deleteInstallation(query) {
+      const id = installationId(query);
+      await store.delete(`installation:${id}`);
+      await updateIndex(id, false);
+    },
+
+    // Every installed team or enterprise ID
+    async listInstallations() {
+      return (await store.get('installations')) || [];
+    }
+  };
+}
+
+// Read and write each workspace's Notion settings
+function createWorkspaceSettings(store) {
+  return {
+    async get(teamId) {
+      return (await store.get(`workspace:${teamId}`)) || null;
+    },
+
+    async set(teamId, settings) {
+      await store.set(`workspace:${teamId}`, settings);
+    }
+  };
+}
+
+module.exports = { createInstallationStore, createWorkspaceSettings };
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCommand, CommandError, USAGE } = require('../lib/command-parser');
+const { loadRequestTypes } = require('../lib/request-types');
+
+const registry = loadRequestTypes();
+const BOT = 'UBOT';
+
+// Mention text, parsed the way the app_mention handler does
+const mention = (text, fallbackType = null) => parseCommand(text, { registry, fallbackType, botUserId: BOT });
+
+// Slash command text, which has no mention
+const slash = (text, fallbackType = null) => parseCommand(text, { registry, fallbackType });
+
+const commands = [
+  ['quoted title', () => mention('<@UBOT> update "Export to CSV" to WIP'),
+    { type: 'update', requestType: 'feature', featureQuery: 'Export to CSV', newStatus: 'WIP' }],
+  ['quoted title and status with a type keyword', () => mention('<@UBOT> update bd "Acme Corp" to "Not in CRM yet"'),
+    { type: 'update', requestType: 'bd', featureQuery: 'Acme Corp', newStatus: 'Not in CRM yet' }],
+  ['status typed out in words', () => mention('<@UBOT> update business development Acme Corp to Added to CRM'),
+    { type: 'update', requestType: 'bd', featureQuery: 'Acme Corp', newStatus: 'Added to CRM' }],
+  ['curly quotes', () => mention('<@UBOT> update “Export to CSV” to “Reviewing”'),
+    { type: 'update', requestType: 'feature', featureQuery: 'Export to CSV', newStatus: 'Reviewing' }],
+  ['unquoted title', () => mention('<@UBOT> update onboarding to WIP'),
+    { type: 'update', requestType: 'feature', featureQuery: 'onboarding', newStatus: 'WIP' }],
+  ['fallback type from the thread or channel', () => mention('<@UBOT> update Acme to "Added to CRM"', 'bd'),
+    { type: 'update', requestType: 'bd', featureQuery: 'Acme', newStatus: 'Added to CRM' }],
+  ['slash command text', () => slash('update "Export to CSV" to Completed'),
+    { type: 'update', requestType: 'feature', featureQuery: 'Export to CSV', newStatus: 'Completed' }],
+  ['a request that starts with a word, not a verb', () => mention('<@UBOT> please help us add status badges'),
+    { type: 'create' }],
+  ['a verb after a mention of someone else', () => mention('<@U9> update the doc <@UBOT>'),
+    { type: 'create' }],
+  ['a verb with no mention in mention text', () => mention('update the doc <@UBOT>'),
+    { type: 'create' }],
+  ['priority and tags when saving', () => mention('<@UBOT> dark mode for the dashboard p1 #design <#C42|billing>'),
+    { type: 'create', priority: 'P1', tags: ['design', 'billing'] }],
+  ['set priority', () => mention('<@UBOT> set priority "Export to CSV" to p2'),
+    { type: 'priority', requestType: 'feature', featureQuery: 'Export to CSV', priority: 'p2' }],
+  ['set priority of a type', () => mention('<@UBOT> set priority of bd Acme to high'),
+    { type: 'priority', requestType: 'bd', featureQuery: 'Acme', priority: 'high' }],
+  ['"set up" as a request, not set priority', () => mention('<@UBOT> set up a weekly export'),
+    { type: 'create' }],
+  ['tag', () => mention('<@UBOT> tag "Export to CSV" #billing #reports #billing'),
+    { type: 'tag', requestType: 'feature', featureQuery: 'Export to CSV', tags: ['billing', 'reports'] }],
+  ['tag that Slack turned into a channel link', () => mention('<@UBOT> tag onboarding #ux <#C42|billing>'),
+    { type: 'tag', requestType: 'feature', featureQuery: 'onboarding', tags: ['ux', 'billing'] }],
+  ['tag with a numbered issue in the title', () => mention('<@UBOT> tag issue #42 #bug'),
+    { type: 'tag', requestType: 'feature', featureQuery: 'issue #42', tags: ['bug'] }],
+  ['status', () => mention('<@UBOT> status'),
+    { type: 'status', requestType: 'feature', showCompleted: false }],
+  ['status with every filter', () => mention('<@UBOT> status bd all from <@U2> in <#C5|sales> since 2026-09-01 by votes'),
+    { type: 'status', requestType: 'bd', showCompleted: true, requester: 'U2', channel: 'C5', since: '2026-09-01', sortByVotes: true }],
+  ['status by quoted status, mine', () => mention('<@UBOT> status "reviewing" mine'),
+    { type: 'status', requestType: 'feature', showCompleted: false, status: 'Reviewing', mine: true }],
+  ['status type keyword after the status', () => mention('<@UBOT> status Added to CRM business development'),
+    { type: 'status', requestType: 'bd', showCompleted: true, status: 'Added to CRM' }],
+  ['assign', () => mention('<@UBOT> assign "Export to CSV" to <@U7>'),
+    { type: 'assign', requestType: 'feature', featureQuery: 'Export to CSV', assignee: 'U7' }],
+  ['search', () => mention('<@UBOT> search csv export'),
+    { type: 'search', query: 'csv export' }],
+  ['show', () => mention('<@UBOT> show bd "Acme Corp"'),
+    { type: 'show', requestType: 'bd', featureQuery: 'Acme Corp' }],
+  ['stop syncing', () => mention('<@UBOT> stop syncing'),
+    { type: 'sync', enabled: false }],
+  ['config channel default', () => slash('config channel default BD'),
+    { type: 'config', defaultType: 'bd' }]
+];
+
+for (const [name, parse, expected] of commands) {
+  test(`parses ${name}`, () => {
+    assert.deepStrictEqual(parse(), expected);
+  });
+}
+
+const errors = [
+  ['unclosed quote', '<@UBOT> update "Export to CSV to WIP', 'unterminated_quote', USAGE.update],
+  ['unclosed curly quote', '<@UBOT> show “Export to CSV', 'unterminated_quote', USAGE.show],
+  ['update without "to"', '<@UBOT> update onboarding', 'missing_argument', USAGE.update],
+  ['update without a title', '<@UBOT> update to WIP', 'missing_argument', USAGE.update],
+  ['assign without a person', '<@UBOT> assign onboarding to Dana', 'missing_argument', USAGE.assign],
+  ['set priority without a priority', '<@UBOT> set priority onboarding', 'missing_argument', USAGE.priority],
+  ['tag without tags', '<@UBOT> tag onboarding', 'missing_argument', USAGE.tag],
+  ['search without words', '<@UBOT> search', 'missing_argument', USAGE.search],
+  ['"from" without a person', '<@UBOT> status from Dana', 'missing_argument', USAGE.status],
+  ['unknown status filter', '<@UBOT> status whenever', 'unexpected_argument', USAGE.status],
+  ['quoted status that doesn\'t exist', '<@UBOT> status "Shipped"', 'invalid_argument', USAGE.status],
+  ['"since" without a date', '<@UBOT> status since yesterday', 'invalid_argument', USAGE.status],
+  ['unknown config', '<@UBOT> config everything', 'invalid_argument', USAGE.config]
+];
+
+for (const [name, text, code, usage] of errors) {
+  test(`rejects ${name}`, () => {
+    assert.throws(() => mention(text), error => {
+      assert.ok(error instanceof CommandError);
+      assert.strictEqual(error.code, code);
+      assert.strictEqual(error.usage, usage);
+      return true;
+    });
+  });
+}
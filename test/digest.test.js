@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTypeDigest, getStatusSince, DAY_MS } = require('../lib/digest');
+
+const now = new Date('2026-03-16T09:00:00Z');
+const daysAgo = days => now.getTime() - days * DAY_MS;
+const typeConfig = { key: 'feature', label: 'Feature', doneStatus: 'Done' };
+const statusLogMs = 30 * DAY_MS;
+
+function request(id, title, status, createdDaysAgo) {
+  return {
+    id: id,
+    title: title,
+    url: `https://notion.so/${id}`,
+    slackUrl: null,
+    status: status,
+    createdTime: new Date(daysAgo(createdDaysAgo)).toISOString()
+  };
+}
+
+function digest(overrides) {
+  return buildTypeDigest(typeConfig, {
+    databaseId: 'db-1',
+    created: [],
+    open: [],
+    completed: [],
+    statusLog: [],
+    now: now,
+    stuckDays: 14,
+    statusLogMs: statusLogMs,
+    ...overrides
+  });
+}
+
+test('status since is the latest logged change for the page', () => {
+  const log = [
+    { pageId: 'p-1', at: daysAgo(20) },
+    { pageId: 'p1', at: daysAgo(3) },
+    { pageId: 'p-2', at: daysAgo(1) }
+  ];
+  assert.strictEqual(getStatusSince(request('p-1', 'A', 'New', 40), log, now, statusLogMs), daysAgo(3));
+});
+
+test('status since falls back to creation within the log window, else null', () => {
+  assert.strictEqual(getStatusSince(request('p-1', 'A', 'New', 20), [], now, statusLogMs), daysAgo(20));
+  assert.strictEqual(getStatusSince(request('p-1', 'A', 'New', 45), [], now, statusLogMs), null);
+});
+
+test('changes after now are ignored', () => {
+  const log = [{ pageId: 'p-1', at: now.getTime() + DAY_MS }];
+  assert.strictEqual(getStatusSince(request('p-1', 'A', 'New', 20), log, now, statusLogMs), daysAgo(20));
+});
+
+test('stuck goes by the last status change, not edits', () => {
+  const text = digest({
+    open: [
+      request('p-1', 'Moved recently', 'In Progress', 40),
+      request('p-2', 'Untouched since creation', 'New', 20),
+      request('p-3', 'Older than the log', 'Planned', 90)
+    ],
+    statusLog: [
+      { pageId: 'p-1', databaseId: 'db-1', title: 'Moved recently', url: 'https://notion.so/p-1', from: 'New', to: 'In Progress', at: daysAgo(2) }
+    ]
+  });
+
+  assert.match(text, /\*Stuck for 14\+ days \(2\):\*/);
+  assert.match(text, /Older than the log>.* - Planned for 30\+ days\n.*Untouched since creation>.* - New for 20 days/);
+  assert.doesNotMatch(text, /Moved recently> - In Progress for/);
+});
+
+test('digest covers the week before now for its own database', () => {
+  const text = digest({
+    created: [request('p-4', 'Dark <mode>', 'New', 1)],
+    completed: [request('p-5', 'Exports', 'Done', 30)],
+    statusLog: [
+      { pageId: 'p-5', databaseId: 'db1', title: 'Exports', url: 'https://notion.so/p-5', from: 'In Progress', to: 'Done', at: daysAgo(3) },
+      { pageId: 'p-6', databaseId: 'db-2', title: 'Other type', url: 'https://notion.so/p-6', from: 'New', to: 'Done', at: daysAgo(3) },
+      { pageId: 'p-7', databaseId: 'db-1', title: 'Last month', url: 'https://notion.so/p-7', from: 'New', to: 'Done', at: daysAgo(9) }
+    ]
+  });
+
+  assert.match(text, /^📋 \*Feature requests: week of 2026-03-09\*/);
+  assert.match(text, /\*New this week \(1\):\*\n• <https:\/\/notion\.so\/p-4\|Dark &lt;mode&gt;> - New/);
+  assert.match(text, /\*Status changes \(1\):\*\n• <https:\/\/notion\.so\/p-5\|Exports> - In Progress → Done/);
+  assert.match(text, /\*Stuck for 14\+ days:\* none/);
+  assert.match(text, /\*Done \(1\):\*\n• <https:\/\/notion\.so\/p-5\|Exports>$/);
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { redirectHeaders } = require('../lib/file-transfer');
+
+const headers = { Authorization: 'Bearer xoxb-secret', Accept: 'image/*' };
+
+test('keeps the token on a redirect within the same host', () => {
+  assert.deepStrictEqual(
+    redirectHeaders(headers, 'https://files.slack.com/files-pri/T1-F1/a.png', 'https://files.slack.com/files-pri/T1-F1/download/a.png'),
+    headers
+  );
+});
+
+test('drops the token on a redirect to another host', () => {
+  assert.deepStrictEqual(
+    redirectHeaders(headers, 'https://files.slack.com/files-pri/T1-F1/a.png', 'https://cdn.example.com/a.png'),
+    { Accept: 'image/*' }
+  );
+  assert.deepStrictEqual(
+    redirectHeaders({ authorization: 'Bearer xoxb-secret' }, 'https://files.slack.com/a', 'https://files.slack.com.evil.test/a'),
+    {}
+  );
+});
@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRequestClient, createRequestStore } = require('../lib/request-store');
+
+const statuses = ['New', 'WIP', 'Completed'];
+let directory;
+let requests;
+
+function title(text) {
+  return { Title: { title: [{ text: { content: text } }] } };
+}
+
+function paragraph(text) {
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: text } }] } };
+}
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'helperbot-'));
+  const client = createRequestClient(
+    { HELPERBOT_REQUEST_BACKEND: 'file', HELPERBOT_REQUESTS_PATH: path.join(directory, 'requests.json') },
+    { databases: [{ id: 'feature', title: 'Feature', statuses }] }
+  );
+  requests = createRequestStore(client);
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('creates, finds, updates and lists requests offline', async () => {
+  const page = await requests.create('feature', {
+    ...title('Export to CSV'),
+    Status: { select: { name: 'New' } },
+    'Slack URL': { url: 'https://example.slack.com/archives/C1/p1' }
+  }, [paragraph('Customers want their reports as spreadsheets')]);
+  await requests.create('feature', { ...title('Export to PDF'), Status: { select: { name: 'New' } } });
+
+  assert.strictEqual((await requests.findByTitle('feature', 'export')).length, 2);
+  assert.deepStrictEqual((await requests.findByTitle('feature', 'Export to CSV', { exact: true })).map(found => found.id), [page.id]);
+  assert.strictEqual((await requests.findByUrl('feature', 'https://example.slack.com/archives/C1/p1')).id, page.id);
+  assert.strictEqual(await requests.findByUrl('feature', 'https://example.slack.com/archives/C1/p2'), null);
+
+  await requests.updateStatus(page.id, 'WIP');
+  await requests.update(page.id, { Tags: { multi_select: [{ name: 'billing' }] } });
+
+  const updated = await requests.get(page.id);
+  assert.strictEqual(updated.properties.Status.select.name, 'WIP');
+  assert.deepStrictEqual(updated.properties.Tags.multi_select, [{ name: 'billing' }]);
+
+  const wip = await requests.list('feature', { filter: { property: 'Status', select: { equals: 'WIP' } } });
+  assert.deepStrictEqual(wip.results.map(found => found.id), [page.id]);
+
+  const firstPage = await requests.list('feature', { pageSize: 1 });
+  assert.strictEqual(firstPage.results.length, 1);
+  assert.strictEqual(firstPage.has_more, true);
+  const secondPage = await requests.list('feature', { pageSize: 1, cursor: firstPage.next_cursor });
+  assert.strictEqual(secondPage.has_more, false);
+  assert.notStrictEqual(secondPage.results[0].id, firstPage.results[0].id);
+});
+
+test('keeps content and comments readable as plain text', async () => {
+  const page = await requests.create('feature', title('Dark mode'), [paragraph('First reply')]);
+  const [added] = await requests.appendContent(page.id, [paragraph('Second reply')]);
+  await requests.updateBlock(added.id, paragraph('Second reply, edited'));
+  await requests.addComment(page.id, 'Status changed from "New" to "WIP"');
+
+  const content = await requests.listContent(page.id);
+  assert.deepStrictEqual(
+    content.results.map(block => block.paragraph.rich_text.map(item => item.plain_text).join('')),
+    ['First reply', 'Second reply, edited']
+  );
+
+  await requests.deleteBlock(added.id);
+  assert.strictEqual((await requests.listContent(page.id)).results.length, 1);
+
+  const comments = await requests.listComments(page.id);
+  assert.strictEqual(comments.results[0].rich_text[0].plain_text, 'Status changed from "New" to "WIP"');
+});
+
+test('reports a missing request like Notion does', async () => {
+  await assert.rejects(requests.get('no-such-page'), { code: 'object_not_found' });
+});
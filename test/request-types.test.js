@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadRequestTypes } = require('../lib/request-types');
+
+const registry = loadRequestTypes();
+
+test('a thread root naming the default type overrides a channel default', () => {
+  assert.strictEqual(registry.detectOver('Feature request: dark mode please', 'bd'), 'feature');
+});
+
+test('a thread root naming another type overrides a channel default', () => {
+  assert.strictEqual(registry.detectOver('bd lead: Acme wants a demo', 'feature'), 'bd');
+  assert.strictEqual(registry.detectOver('add acme to bd', null), 'bd');
+});
+
+test('a thread root naming no type keeps the channel default', () => {
+  assert.strictEqual(registry.detectOver('dark mode please', 'bd'), 'bd');
+  assert.strictEqual(registry.detectOver('dark mode please', null), null);
+});
+
+test('without a channel default the default type is not detected on its own', () => {
+  assert.strictEqual(registry.detect('Feature request: dark mode please'), null);
+  assert.strictEqual(registry.detectOver('Feature request: dark mode please', null), null);
+});